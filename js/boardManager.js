@@ -24,14 +24,7 @@ class BoardManager {
         }
 
         // Get panel config
-        let panelConfig = {
-            count: 4,
-            names: ['Backlog', 'To Do', 'In Progress', 'Done']
-        };
-        const savedConfig = localStorage.getItem('kanban-panel-config');
-        if (savedConfig) {
-            panelConfig = JSON.parse(savedConfig);
-        }
+        const panelConfig = this.kanbanBoard.panelConfig;
 
         const boardData = {
             name: boardName,
@@ -40,6 +33,8 @@ class BoardManager {
             nextTaskId: this.kanbanBoard.nextTaskId,
             panelConfig: panelConfig,
             users: this.userManager ? this.userManager.users : [],
+            views: window.viewManager ? window.viewManager.views : [],
+            customFields: this.kanbanBoard.customFields.fields,
             savedAt: new Date().toISOString()
         };
 
@@ -65,7 +60,18 @@ class BoardManager {
             // Restore panel config
             if (boardData.panelConfig) {
                 localStorage.setItem('kanban-panel-config', JSON.stringify(boardData.panelConfig));
+                if (window.settingsManager) {
+                    window.settingsManager.loadPanelConfig();
+                }
             }
+
+            // Restore saved views
+            if (window.viewManager) {
+                window.viewManager.setViews(boardData.views || []);
+            }
+
+            // Restore the board's custom field definitions
+            this.kanbanBoard.customFields.setFields(boardData.customFields || []);
             
             this.kanbanBoard.saveTasks();
             this.kanbanBoard.renderBoard();
@@ -112,7 +118,10 @@ class BoardManager {
             exportedAt: new Date().toISOString(),
             tasks: this.kanbanBoard.tasks,
             nextTaskId: this.kanbanBoard.nextTaskId,
-            users: this.userManager ? this.userManager.users : []
+            users: this.userManager ? this.userManager.users : [],
+            views: window.viewManager ? window.viewManager.views : [],
+            customFields: this.kanbanBoard.customFields.fields,
+            panelConfig: this.kanbanBoard.panelConfig
         };
 
         const jsonString = JSON.stringify(boardData, null, 2);
@@ -139,10 +148,25 @@ class BoardManager {
                     const boardData = JSON.parse(e.target.result);
                     
                     if (boardData.tasks) {
+                        // Columns first, so tasks in custom columns have somewhere to go
+                        if (boardData.panelConfig) {
+                            localStorage.setItem('kanban-panel-config', JSON.stringify(boardData.panelConfig));
+                            if (window.settingsManager) {
+                                window.settingsManager.loadPanelConfig();
+                            }
+                        }
                         this.kanbanBoard.tasks = boardData.tasks;
                         this.kanbanBoard.nextTaskId = boardData.nextTaskId || 1;
+                        if (boardData.customFields) {
+                            this.kanbanBoard.customFields.setFields(boardData.customFields);
+                        }
                         this.kanbanBoard.saveTasks();
                         this.kanbanBoard.renderBoard();
+
+                        // Import saved views if present
+                        if (boardData.views && window.viewManager) {
+                            window.viewManager.setViews(boardData.views);
+                        }
                         
                         // Import users if present
                         if (boardData.users && this.userManager) {
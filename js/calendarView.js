@@ -0,0 +1,266 @@
+/**
+ * Calendar View - Month or week calendar of tasks placed on their due dates
+ *
+ * Replaces the columns (and swimlanes) while open. Uses the board's filter and the
+ * same due date colors as the cards (KanbanBoard.getDueDateClass). Dragging a task
+ * to another day reschedules it as an undoable operation.
+ */
+class CalendarView {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.active = localStorage.getItem('kanban-calendar-open') === 'true';
+        this.mode = localStorage.getItem('kanban-calendar-mode') || 'month'; // 'month' or 'week'
+        this.anchorDate = new Date(); // Any day inside the month/week being shown
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    open() {
+        // Only one of the calendar and timeline replaces the board at a time
+        if (window.timelineView) window.timelineView.deactivate();
+        this.active = true;
+        localStorage.setItem('kanban-calendar-open', 'true');
+        this.kanbanBoard.renderBoard();
+    }
+
+    close() {
+        this.deactivate();
+        // Let the board show its columns or swimlanes again
+        this.kanbanBoard.renderBoard();
+    }
+
+    // Mark closed without re-rendering (used when another view opens)
+    deactivate() {
+        this.active = false;
+        localStorage.setItem('kanban-calendar-open', 'false');
+    }
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'week' ? 'week' : 'month';
+        localStorage.setItem('kanban-calendar-mode', this.mode);
+        this.render();
+    }
+
+    // Move one month or week back (-1) or forward (1)
+    step(direction) {
+        const date = new Date(this.anchorDate);
+        if (this.mode === 'week') {
+            date.setDate(date.getDate() + direction * 7);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + direction);
+        }
+        this.anchorDate = date;
+        this.render();
+    }
+
+    goToToday() {
+        this.anchorDate = new Date();
+        this.render();
+    }
+
+    // Show or hide the calendar in place of the board; called after every board render
+    refresh() {
+        const calendar = document.getElementById('calendar-view');
+        if (!calendar) return;
+
+        const btn = document.getElementById('calendar-btn');
+        if (btn) btn.classList.toggle('active', this.active);
+
+        calendar.style.display = this.active ? '' : 'none';
+        if (!this.active) return;
+
+        const board = document.querySelector('.kanban-board');
+        const swimlaneBoard = document.getElementById('swimlane-board');
+        if (board) board.style.display = 'none';
+        if (swimlaneBoard) swimlaneBoard.style.display = 'none';
+
+        this.render();
+    }
+
+    // Days shown: whole weeks (Monday first) covering the month, or the anchor's week
+    getDays() {
+        const start = new Date(this.anchorDate);
+        start.setHours(0, 0, 0, 0);
+        let count = 7;
+
+        if (this.mode === 'month') {
+            start.setDate(1);
+            const lastOfMonth = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            const weeks = Math.ceil(((lastOfMonth - start) / (24 * 60 * 60 * 1000) + 1) / 7);
+            count = weeks * 7;
+        } else {
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        }
+
+        const days = [];
+        for (let i = 0; i < count; i++) {
+            const day = new Date(start);
+            day.setDate(start.getDate() + i);
+            days.push(day);
+        }
+        return days;
+    }
+
+    getTitle(days) {
+        if (this.mode === 'month') {
+            return this.anchorDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+        const board = this.kanbanBoard;
+        return `${board.formatTaskDate(board.formatDateOnly(days[0]))} – ${board.formatTaskDate(board.formatDateOnly(days[6]))}`;
+    }
+
+    // Visible tasks with a due date, grouped by YYYY-MM-DD
+    getTasksByDate() {
+        const byDate = {};
+        this.kanbanBoard.getVisibleTasks().forEach(task => {
+            if (!task.dueDate) return;
+            const date = String(task.dueDate).slice(0, 10);
+            (byDate[date] = byDate[date] || []).push(task);
+        });
+        return byDate;
+    }
+
+    render() {
+        const container = document.getElementById('calendar-grid');
+        if (!container || !this.active) return;
+
+        const board = this.kanbanBoard;
+        const days = this.getDays();
+        const byDate = this.getTasksByDate();
+        const today = board.formatDateOnly(new Date());
+        const month = this.anchorDate.getMonth();
+
+        const title = document.getElementById('calendar-title');
+        if (title) title.textContent = this.getTitle(days);
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this.mode);
+        });
+
+        const weekdays = days.slice(0, 7).map(day => day.toLocaleDateString(undefined, { weekday: 'short' }));
+        const unscheduled = board.getVisibleTasks().filter(task => !task.dueDate).length;
+
+        container.className = `calendar-grid calendar-${this.mode}`;
+        container.innerHTML = `
+            ${weekdays.map(name => `<div class="calendar-weekday">${name}</div>`).join('')}
+            ${days.map(day => {
+                const date = board.formatDateOnly(day);
+                const classes = ['calendar-day'];
+                if (date === today) classes.push('today');
+                if (this.mode === 'month' && day.getMonth() !== month) classes.push('other-month');
+                const tasks = (byDate[date] || []).sort((a, b) =>
+                    Number(board.isTaskDone(a)) - Number(board.isTaskDone(b)) || a.title.localeCompare(b.title));
+                return `
+                    <div class="${classes.join(' ')}" data-date="${date}">
+                        <div class="calendar-day-number">${day.getDate()}</div>
+                        <div class="calendar-day-tasks">
+                            ${tasks.map(task => this.renderTask(task)).join('')}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+
+        const summary = document.getElementById('calendar-summary');
+        if (summary) {
+            summary.textContent = unscheduled > 0 ? `${unscheduled} task${unscheduled === 1 ? '' : 's'} without a due date` : '';
+        }
+
+        this.setupGridListeners(container);
+    }
+
+    renderTask(task) {
+        const board = this.kanbanBoard;
+        const classes = ['calendar-task', board.getDueDateClass(task)];
+        if (board.isTaskDone(task)) classes.push('done');
+        const status = board.getColumnName(task.status);
+        return `
+            <div class="${classes.join(' ')}" draggable="true" data-task-id="${task.id}"
+                title="#${task.id} ${board.escapeHtml(task.title)} (${board.escapeHtml(status)})">
+                ${board.escapeHtml(task.title)}
+            </div>
+        `;
+    }
+
+    setupGridListeners(container) {
+        const board = this.kanbanBoard;
+
+        container.querySelectorAll('.calendar-task').forEach(el => {
+            el.addEventListener('click', () => {
+                const task = board.tasks.find(t => t.id === parseInt(el.dataset.taskId));
+                if (task) board.openTaskModal(task);
+            });
+            el.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', el.dataset.taskId);
+                e.dataTransfer.effectAllowed = 'move';
+                el.classList.add('dragging');
+            });
+            el.addEventListener('dragend', () => el.classList.remove('dragging'));
+        });
+
+        container.querySelectorAll('.calendar-day').forEach(day => {
+            day.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                day.classList.add('drag-over');
+            });
+            day.addEventListener('dragleave', (e) => {
+                if (!day.contains(e.relatedTarget)) day.classList.remove('drag-over');
+            });
+            day.addEventListener('drop', (e) => {
+                e.preventDefault();
+                // Handled here; the board's drag and drop manager only handles columns
+                e.stopPropagation();
+                day.classList.remove('drag-over');
+                this.reschedule(parseInt(e.dataTransfer.getData('text/plain')), day.dataset.date);
+            });
+        });
+    }
+
+    reschedule(taskId, date) {
+        const board = this.kanbanBoard;
+        const task = board.tasks.find(t => t.id === taskId);
+        if (!task || !date || String(task.dueDate).slice(0, 10) === date) return;
+
+        // Move the start date by the same number of days so the task keeps its length
+        const updates = { dueDate: date };
+        if (task.startDate) {
+            const start = board.parseDateOnly(String(task.startDate).slice(0, 10));
+            const shift = Math.round((board.parseDateOnly(date) - board.parseDateOnly(String(task.dueDate).slice(0, 10))) / (24 * 60 * 60 * 1000));
+            start.setDate(start.getDate() + shift);
+            updates.startDate = board.formatDateOnly(start);
+        }
+
+        board.runBulkOperation(`Rescheduled "${task.title}" to ${board.formatTaskDate(date)}`, () => {
+            board.updateTask(task.id, updates);
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('calendar-btn')?.addEventListener('click', () => this.toggle());
+        document.getElementById('calendar-prev')?.addEventListener('click', () => this.step(-1));
+        document.getElementById('calendar-next')?.addEventListener('click', () => this.step(1));
+        document.getElementById('calendar-today')?.addEventListener('click', () => this.goToToday());
+        document.querySelectorAll('.calendar-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+        });
+    }
+}
+
+// Initialize the calendar when the board is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const checkForBoard = setInterval(() => {
+        if (window.kanbanBoard) {
+            window.calendarView = new CalendarView(window.kanbanBoard);
+            clearInterval(checkForBoard);
+        }
+    }, 100);
+});
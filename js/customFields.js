@@ -0,0 +1,250 @@
+/**
+ * Custom Fields - Extra typed task fields defined per board
+ *
+ * Definitions ({id, name, type, options, showOnCard}) are kept in localStorage
+ * (kanban-custom-fields) while working and are stored with the board by BoardManager.
+ * Values live on each task as task.customFields = { [fieldId]: value }:
+ *   text, url, single-select  string
+ *   number                    number
+ *   date                      YYYY-MM-DD
+ *   multi-select              array of strings
+ *   user                      user id
+ */
+class CustomFields {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.fields = [];
+        this.loadFields();
+    }
+
+    loadFields() {
+        try {
+            this.fields = JSON.parse(localStorage.getItem('kanban-custom-fields')) || [];
+        } catch (e) {
+            this.fields = [];
+        }
+    }
+
+    saveFields() {
+        localStorage.setItem('kanban-custom-fields', JSON.stringify(this.fields));
+    }
+
+    // Replace all definitions (used when a board is loaded or imported)
+    setFields(fields) {
+        this.fields = Array.isArray(fields) ? fields : [];
+        this.saveFields();
+        this.kanbanBoard.renderBoard();
+    }
+
+    getField(id) {
+        return this.fields.find(f => f.id === id) || null;
+    }
+
+    // Filter key for a field: its name in lowercase with spaces as dashes ("Customer ID" -> customer-id)
+    getFilterKey(field) {
+        return field.name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    getFieldByFilterKey(key) {
+        return this.fields.find(f => this.getFilterKey(f) === key) || null;
+    }
+
+    // Add a field or update the one with the same id
+    saveField(field) {
+        const index = this.fields.findIndex(f => f.id === field.id);
+        if (index >= 0) {
+            this.fields[index] = field;
+        } else {
+            this.fields.push(field);
+        }
+        this.saveFields();
+        this.kanbanBoard.renderBoard();
+    }
+
+    deleteField(id) {
+        this.fields = this.fields.filter(f => f.id !== id);
+        this.saveFields();
+        this.kanbanBoard.renderBoard();
+    }
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    getValue(task, field) {
+        return task.customFields ? task.customFields[field.id] : undefined;
+    }
+
+    // Readable value for cards, history, GitHub and Sheets
+    formatValue(field, value) {
+        if (this.isEmpty(value)) return '';
+        switch (field.type) {
+            case 'multi-select':
+                return [].concat(value).join(', ');
+            case 'date':
+                return this.kanbanBoard.formatTaskDate(value);
+            case 'user':
+                return this.kanbanBoard.getUserName(value);
+            default:
+                return String(value);
+        }
+    }
+
+    // Chips for the fields marked "show on card"
+    renderCardFields(task) {
+        const board = this.kanbanBoard;
+        const chips = this.fields
+            .filter(field => field.showOnCard && !this.isEmpty(this.getValue(task, field)))
+            .map(field => {
+                const value = this.getValue(task, field);
+                const text = board.escapeHtml(this.formatValue(field, value));
+                const safeUrl = field.type === 'url' ? board.markdown.sanitizeUrl(board.markdown.escape(value)) : null;
+                const display = safeUrl
+                    ? `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer">${text}</a>`
+                    : text;
+                return `<span class="task-custom-field" title="${board.escapeHtml(field.name)}"><span class="task-custom-field-name">${board.escapeHtml(field.name)}:</span> ${display}</span>`;
+            });
+        return chips.length > 0 ? `<div class="task-custom-fields">${chips.join('')}</div>` : '';
+    }
+
+    // Inputs for every field in the task modal
+    renderInputs(task) {
+        const container = document.getElementById('custom-fields-container');
+        if (!container) return;
+
+        const board = this.kanbanBoard;
+        container.innerHTML = '';
+        container.style.display = this.fields.length > 0 ? '' : 'none';
+
+        this.fields.forEach(field => {
+            const value = task ? this.getValue(task, field) : undefined;
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const inputId = `custom-field-${field.id}`;
+            const label = `<label for="${inputId}">${board.escapeHtml(field.name)}</label>`;
+            const options = field.options || [];
+
+            let input;
+            switch (field.type) {
+                case 'number':
+                    input = `<input type="number" id="${inputId}" step="any" value="${this.isEmpty(value) ? '' : board.markdown.escape(value)}">`;
+                    break;
+                case 'date':
+                    input = `<input type="date" id="${inputId}" value="${board.markdown.escape(value || '')}">`;
+                    break;
+                case 'url':
+                    input = `<input type="url" id="${inputId}" placeholder="https://" value="${board.markdown.escape(value || '')}">`;
+                    break;
+                case 'single-select':
+                    input = `<select id="${inputId}"><option value="">—</option>${options.map(o =>
+                        `<option value="${board.markdown.escape(o)}"${o === value ? ' selected' : ''}>${board.escapeHtml(o)}</option>`).join('')}</select>`;
+                    break;
+                case 'multi-select': {
+                    const selected = [].concat(value || []);
+                    input = `<div class="custom-field-multi" id="${inputId}">${options.map(o => `
+                        <label class="custom-field-option">
+                            <input type="checkbox" value="${board.markdown.escape(o)}"${selected.includes(o) ? ' checked' : ''}> ${board.escapeHtml(o)}
+                        </label>`).join('')}</div>`;
+                    break;
+                }
+                case 'user': {
+                    const users = window.userManager ? window.userManager.users || [] : [];
+                    input = `<select id="${inputId}"><option value="">—</option>${users.map(u =>
+                        `<option value="${u.id}"${String(u.id) === String(value) ? ' selected' : ''}>${board.escapeHtml(u.name || u.email || 'Unnamed User')}</option>`).join('')}</select>`;
+                    break;
+                }
+                default:
+                    input = `<input type="text" id="${inputId}" value="${board.markdown.escape(value || '')}">`;
+            }
+
+            group.innerHTML = label + input;
+            container.appendChild(group);
+        });
+    }
+
+    // Values from the task modal inputs, keeping values of fields that no longer exist
+    readInputs(existing = {}) {
+        const values = { ...existing };
+
+        this.fields.forEach(field => {
+            const el = document.getElementById(`custom-field-${field.id}`);
+            if (!el) return;
+
+            let value;
+            if (field.type === 'multi-select') {
+                value = [...el.querySelectorAll('input:checked')].map(cb => cb.value);
+            } else if (field.type === 'number') {
+                value = el.value === '' ? null : parseFloat(el.value);
+            } else if (field.type === 'user') {
+                value = el.value ? (parseInt(el.value) || el.value) : null;
+            } else {
+                value = el.value.trim();
+            }
+
+            if (this.isEmpty(value)) {
+                delete values[field.id];
+            } else {
+                values[field.id] = value;
+            }
+        });
+
+        return values;
+    }
+
+    // Parse a text cell (Sheets) back into a value of the field's type
+    parseValue(field, text) {
+        const value = String(text === undefined || text === null ? '' : text).trim();
+        if (!value) return null;
+        switch (field.type) {
+            case 'number': {
+                const number = parseFloat(value);
+                return isNaN(number) ? null : number;
+            }
+            case 'multi-select':
+                return value.split(',').map(v => v.trim()).filter(Boolean);
+            case 'user': {
+                const users = window.userManager ? window.userManager.users || [] : [];
+                const user = users.find(u => u.name === value || u.email === value || String(u.id) === value);
+                return user ? user.id : null;
+            }
+            default:
+                return value;
+        }
+    }
+
+    // Values synced from elsewhere (GitHub) use that board's field ids; match unknown ids by field name
+    remapValues(values, names = {}) {
+        const remapped = {};
+        Object.entries(values || {}).forEach(([id, value]) => {
+            const field = this.getField(id) ||
+                this.fields.find(f => names[id] && f.name.toLowerCase() === String(names[id]).toLowerCase());
+            remapped[field ? field.id : id] = value;
+        });
+        return remapped;
+    }
+
+    // Spreadsheet cell for a value (dates stay as YYYY-MM-DD so they parse back)
+    toCell(field, value) {
+        if (this.isEmpty(value)) return '';
+        if (field.type === 'date') return value;
+        if (field.type === 'user') {
+            const user = window.userManager ? window.userManager.getUser(value) : null;
+            return user ? user.email || user.name : '';
+        }
+        return this.formatValue(field, value);
+    }
+}
+
+// Field types offered in Settings → Fields
+CustomFields.TYPES = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    'single-select': 'Single select',
+    'multi-select': 'Multi select',
+    url: 'URL',
+    user: 'User'
+};
+
+window.CustomFields = CustomFields;
@@ -83,9 +83,44 @@ class DragDropManager {
                 }
             });
             column.classList.add('drag-over');
+
+            // Move the placeholder to where the card would land (the end of the column while
+            // a sort is active, since the drop position is not kept then)
+            if (this.placeholder && this.draggedElement && this.kanbanBoard.sortMode !== 'manual') {
+                if (column.lastElementChild !== this.placeholder) {
+                    column.appendChild(this.placeholder);
+                }
+            } else if (this.placeholder && this.draggedElement) {
+                const afterElement = this.getDragAfterElement(column, e.clientY, this.draggedElement.dataset.taskId);
+                if (afterElement) {
+                    if (afterElement.previousSibling !== this.placeholder) {
+                        column.insertBefore(this.placeholder, afterElement);
+                    }
+                } else if (column.lastElementChild !== this.placeholder) {
+                    column.appendChild(this.placeholder);
+                }
+            }
         }
     }
 
+    // First card in the column whose middle is below the pointer (null = drop at the end)
+    getDragAfterElement(column, y, excludeTaskId) {
+        const cards = Array.from(column.querySelectorAll('.task-card'))
+            .filter(card => card.dataset.taskId !== String(excludeTaskId));
+
+        let closest = null;
+        let closestOffset = Number.NEGATIVE_INFINITY;
+        cards.forEach(card => {
+            const box = card.getBoundingClientRect();
+            const offset = y - box.top - box.height / 2;
+            if (offset < 0 && offset > closestOffset) {
+                closestOffset = offset;
+                closest = card;
+            }
+        });
+        return closest;
+    }
+
     handleGlobalDragLeave(e) {
         const target = e.target;
         
@@ -114,15 +149,28 @@ class DragDropManager {
         const taskId = parseInt(e.dataTransfer.getData('text/plain'));
         if (!taskId) return;
 
-        // Determine new status from column
+        // Determine new status from column (swimlane cells carry it in data-status)
         let newStatus = null;
         if (column) {
-            newStatus = column.id.replace('-tasks', '');
+            newStatus = column.dataset.status || column.id.replace('-tasks', '');
         }
 
-        // Move task if we have valid data
-        if (taskId && newStatus && this.kanbanBoard) {
-            this.kanbanBoard.moveTask(taskId, newStatus);
+        // Move task if we have valid data and the WIP limit and dependencies allow it
+        if (taskId && newStatus && this.kanbanBoard &&
+            this.checkWipLimit(taskId, newStatus) && this.checkDependencies(taskId, newStatus)) {
+            // Dropping into another swimlane also changes the grouped field
+            const task = this.kanbanBoard.tasks.find(t => t.id === taskId);
+            const laneUpdates = task && column.dataset.lane !== undefined
+                ? this.kanbanBoard.getSwimlaneUpdates(task, column.dataset.lane)
+                : {};
+            // The drop position only means something in manual order; with another sort active
+            // the card keeps its rank and the sort decides where it shows up
+            const manualOrder = this.kanbanBoard.sortMode === 'manual';
+            if (!manualOrder && task && task.status === newStatus && Object.keys(laneUpdates).length === 0) {
+                const sortOption = document.querySelector('#board-sort-select option:checked');
+                this.kanbanBoard.showNotification(`Cards are ordered by "${sortOption ? sortOption.textContent : this.kanbanBoard.sortMode}"; switch to Manual order to drag cards into place`, 'info');
+            }
+            this.kanbanBoard.moveTask(taskId, newStatus, laneUpdates, manualOrder ? this.getDropPosition(column, e.clientY, taskId) : null);
         }
 
         // Clean up - safely call handleGlobalDragEnd if draggedElement is not null
@@ -136,6 +184,63 @@ class DragDropManager {
         }
     }
 
+    // Position of the drop relative to the other cards in the target column/cell
+    getDropPosition(column, y, taskId) {
+        const beforeCard = this.getDragAfterElement(column, y, taskId);
+        if (beforeCard) {
+            return { beforeTaskId: parseInt(beforeCard.dataset.taskId) };
+        }
+        // Dropped below the last card of the cell - keep it right after that card
+        const cards = Array.from(column.querySelectorAll('.task-card'))
+            .filter(card => card.dataset.taskId !== String(taskId));
+        const lastCard = cards[cards.length - 1];
+        return lastCard ? { afterTaskId: parseInt(lastCard.dataset.taskId) } : {};
+    }
+
+    // Warn about (or refuse) a move that takes a column over its WIP limit.
+    // Returns true if the move may go ahead.
+    checkWipLimit(taskId, newStatus) {
+        const board = this.kanbanBoard;
+        const task = board.tasks.find(t => t.id === taskId);
+        if (!task || task.status === newStatus || !board.wouldExceedWipLimit(newStatus)) return true;
+
+        const index = board.columns.indexOf(newStatus);
+        const columnName = (board.panelConfig.names && board.panelConfig.names[index]) || newStatus;
+        const limit = board.getWipLimit(newStatus);
+
+        if (board.getWipMode() === 'hard') {
+            board.showNotification(`${columnName} is at its WIP limit of ${limit}`, 'error');
+            return false;
+        }
+
+        return confirm(`${columnName} already has ${board.getColumnTaskCount(newStatus)} of ${limit} tasks (WIP limit).\n\nMove "${task.title}" anyway?`);
+    }
+
+    // Warn about (or refuse) starting a task whose blockers are not done yet.
+    // Returns true if the move may go ahead.
+    checkDependencies(taskId, newStatus) {
+        const board = this.kanbanBoard;
+        const task = board.tasks.find(t => t.id === taskId);
+        if (!task || task.status === newStatus) return true;
+
+        // Only moves into In Progress (or further right) count as starting work
+        const startIndex = board.columns.indexOf(board.getInProgressStatus());
+        if (board.columns.indexOf(newStatus) < startIndex) return true;
+
+        const openBlockers = board.getOpenBlockers(task);
+        if (openBlockers.length === 0) return true;
+
+        const blockerList = openBlockers.map(t => `#${t.id} ${t.title}`).join(', ');
+        const mode = window.settingsManager ? window.settingsManager.dependencyMode : 'warn';
+
+        if (mode === 'block') {
+            board.showNotification(`"${task.title}" is blocked by ${blockerList}`, 'error');
+            return false;
+        }
+
+        return confirm(`"${task.title}" is blocked by ${blockerList}, which is not done yet.\n\nMove it anyway?`);
+    }
+
     createPlaceholder(element) {
         if (!element) return;
         
@@ -237,27 +342,12 @@ class DragDropManager {
     handleDrop(e) {
         e.preventDefault();
 
-        const target = e.currentTarget;
         const taskId = parseInt(e.dataTransfer.getData('text/plain'));
 
         if (!taskId || !this.draggedElement) return;
 
-        // Determine new status
-        let newStatus;
-        if (target.classList.contains('column-content')) {
-            newStatus = target.id.replace('-tasks', '');
-        } else {
-            const closestColumn = target.closest('.column-content');
-            if (closestColumn) {
-                newStatus = closestColumn.id.replace('-tasks', '');
-            }
-        }
-
-        // Move task to new status
-        if (newStatus && this.kanbanBoard) {
-            this.kanbanBoard.moveTask(taskId, newStatus);
-        }
-
+        // The move itself happens in handleGlobalDrop once the event bubbles
+        // to the document, so it only runs (and checks dependencies) once
         this.handleDragEnd(e);
     }
 
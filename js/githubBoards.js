@@ -630,8 +630,10 @@ class GitHubBoards {
                 // Find existing issue by title
                 const existingIssue = existingIssues.find(i => i.title === task.title);
 
-                // Combine task labels with status label (deduplicated)
-                const taskLabels = (task.labels || []).map(l => typeof l === 'object' ? l.name : l);
+                // Combine task labels with status label (deduplicated); status labels pulled
+                // earlier are dropped so a moved task does not keep its old column's label
+                const taskLabels = (task.labels || []).map(l => typeof l === 'object' ? l.name : l)
+                    .filter(name => !this.isStatusLabel(name));
                 const allLabels = [...new Set([statusLabel, ...taskLabels])];
 
                 // Ensure all labels exist on GitHub (create missing ones)
@@ -759,14 +761,30 @@ class GitHubBoards {
                     description: taskData.description || '',
                     status: status,
                     priority: taskData.priority || 'medium',
+                    rank: typeof taskData.rank === 'number' ? taskData.rank : tasks.length,
+                    estimate: taskData.estimate !== undefined ? taskData.estimate : null,
                     assignee: assignee,
+                    startDate: taskData.startDate || '',
                     dueDate: taskData.dueDate || '',
                     milestone: milestone,
                     project: taskData.project || null,
-                    parentIssueId: null,
+                    parentIssueId: taskData.parentIssueId || null,
+                    localId: taskData.localId || null,
+                    blockedBy: taskData.blockedBy || [],
+                    recurrence: taskData.recurrence || null,
+                    seriesId: taskData.seriesId || null,
+                    previousOccurrenceId: taskData.previousOccurrenceId || null,
+                    nextOccurrenceId: taskData.nextOccurrenceId || null,
                     labels: labels,
                     comments: taskData.comments || [],
                     attachments: taskData.attachments || [],
+                    checklist: taskData.checklist || [],
+                    archived: !!taskData.archived,
+                    archivedAt: taskData.archived ? taskData.archivedAt || null : null,
+                    history: taskData.history || [],
+                    customFields: window.kanbanBoard
+                        ? window.kanbanBoard.customFields.remapValues(taskData.customFields, taskData.customFieldNames)
+                        : taskData.customFields || {},
                     createdAt: issue.created_at,
                     updatedAt: issue.updated_at,
                     githubIssueNumber: issue.number,
@@ -774,6 +792,30 @@ class GitHubBoards {
                 });
             }
 
+            // Task ids are renumbered on pull, so remap subtask parents, dependencies and
+            // recurring series links (and the same fields in the change history) to the new ids
+            const idMap = {};
+            tasks.forEach(task => {
+                if (task.localId) idMap[task.localId] = task.id;
+            });
+            tasks.forEach(task => {
+                task.parentIssueId = task.parentIssueId ? (idMap[task.parentIssueId] || null) : null;
+                task.blockedBy = task.blockedBy.map(id => idMap[id]).filter(Boolean);
+                ['seriesId', 'previousOccurrenceId', 'nextOccurrenceId'].forEach(field => {
+                    task[field] = task[field] ? (idMap[task[field]] || null) : null;
+                });
+                task.history.forEach(entry => {
+                    ['oldValue', 'newValue'].forEach(key => {
+                        if (entry.field === 'parentIssueId' && entry[key]) {
+                            entry[key] = idMap[entry[key]] || null;
+                        } else if (entry.field === 'blockedBy' && Array.isArray(entry[key])) {
+                            entry[key] = entry[key].map(id => idMap[id]).filter(Boolean);
+                        }
+                    });
+                });
+                delete task.localId;
+            });
+
             this.syncStatus = 'success';
             this.lastSync = new Date().toISOString();
             localStorage.setItem('github_last_sync', this.lastSync);
@@ -815,7 +857,19 @@ class GitHubBoards {
             'in-progress': 'in progress',
             'done': 'done'
         };
-        return mapping[status] || 'backlog';
+        if (mapping[status]) return mapping[status];
+        // Custom columns are labelled by their id, which survives renames and cannot be
+        // mistaken for an ordinary label like "bug" or "review"
+        return `${GitHubBoards.STATUS_LABEL_PREFIX}${status}`;
+    }
+
+    /**
+     * Whether a label only records the task's column (it is set from the status on push)
+     */
+    isStatusLabel(name) {
+        const lower = String(name).toLowerCase();
+        return ['backlog', 'to do', 'in progress', 'done'].includes(lower) ||
+            lower.startsWith(GitHubBoards.STATUS_LABEL_PREFIX);
     }
 
     /**
@@ -824,10 +878,17 @@ class GitHubBoards {
     getKanbanStatus(labels) {
         const labelNames = labels.map(l => l.name.toLowerCase());
 
-        if (labelNames.includes('done')) return 'done';
-        if (labelNames.includes('in progress')) return 'in-progress';
-        if (labelNames.includes('to do')) return 'todo';
-        return 'backlog';
+        const board = window.kanbanBoard;
+        const columnIds = board ? board.columns : [];
+        const customColumn = columnIds.find(id => labelNames.includes(`${GitHubBoards.STATUS_LABEL_PREFIX}${id}`.toLowerCase()));
+        if (customColumn) return customColumn;
+
+        let status = 'backlog';
+        if (labelNames.includes('done')) status = 'done';
+        else if (labelNames.includes('in progress')) status = 'in-progress';
+        else if (labelNames.includes('to do')) status = 'todo';
+        // The built-in column may have been removed or replaced on this board
+        return board ? board.resolveStatus(status) : status;
     }
 
     /**
@@ -877,6 +938,10 @@ class GitHubBoards {
         if (task.dueDate) {
             body += `\n\n**Due Date:** ${task.dueDate}`;
         }
+
+        if (task.estimate !== null && task.estimate !== undefined && task.estimate !== '') {
+            body += `\n\n**Estimate:** ${task.estimate}`;
+        }
         
         if (task.milestone && task.milestone.name) {
             body += `\n\n**Milestone:** ${task.milestone.name}`;
@@ -885,18 +950,46 @@ class GitHubBoards {
         if (task.project && task.project.title) {
             body += `\n\n**Project:** ${task.project.title}`;
         }
+
+        // Custom fields, plus their names so a board with different field ids can match them on pull
+        const customFields = window.kanbanBoard ? window.kanbanBoard.customFields : null;
+        const customFieldNames = {};
+        if (customFields) {
+            customFields.fields.forEach(field => {
+                const value = customFields.getValue(task, field);
+                if (customFields.isEmpty(value)) return;
+                customFieldNames[field.id] = field.name;
+                body += `\n\n**${field.name}:** ${customFields.formatValue(field, value)}`;
+            });
+        }
         
         // Add metadata as JSON for parsing on pull
         const metadata = {
             _pixelKanban: true,
             priority: task.priority,
+            rank: task.rank,
+            estimate: task.estimate !== undefined ? task.estimate : null,
+            customFields: task.customFields || {},
+            customFieldNames: customFieldNames,
+            startDate: task.startDate || '',
             dueDate: task.dueDate,
             milestone: task.milestone || null,
             labels: task.labels || [],
             project: task.project || null,
             description: task.description,
             comments: task.comments || [],
-            attachments: task.attachments || []
+            attachments: task.attachments || [],
+            localId: task.id,
+            parentIssueId: task.parentIssueId || null,
+            blockedBy: task.blockedBy || [],
+            recurrence: task.recurrence || null,
+            seriesId: task.seriesId || null,
+            previousOccurrenceId: task.previousOccurrenceId || null,
+            nextOccurrenceId: task.nextOccurrenceId || null,
+            checklist: task.checklist || [],
+            archived: !!task.archived,
+            archivedAt: task.archivedAt || null,
+            history: task.history || []
         };
 
         body += `\n\n<!-- pixelKanban metadata:\n${JSON.stringify(metadata)}\n-->`;
@@ -1030,6 +1123,9 @@ class GitHubBoards {
     }
 }
 
+// Label prefix for custom columns ("status:code-review"); see getStatusLabel
+GitHubBoards.STATUS_LABEL_PREFIX = 'status:';
+
 /**
  * GitHubBoardsUI - User interface for GitHub integration
  */
@@ -302,8 +302,8 @@ class GoogleSheetsManager {
         this.showStatus('Loading board from Google Sheets...', 'info');
 
         try {
-            // Read data from the sheet
-            const range = `${sheetName}!A:Z`;
+            // Read the whole sheet: custom field columns start after column M and can run past Z
+            const range = sheetName;
             const response = await fetch(
                 `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values/${range}`,
                 {
@@ -446,11 +446,15 @@ class GoogleSheetsManager {
     // Convert board data to Google Sheets format (2D array)
     boardToSheetFormat(boardData) {
         const values = [];
+        // Custom fields get one column each after Estimate, headed by the field name
+        const customFields = window.kanbanBoard ? window.kanbanBoard.customFields : null;
+        const fields = customFields ? customFields.fields : [];
 
         // Header row
         values.push([
             'ID', 'Title', 'Description', 'Status', 'Priority', 'Assignee', 
-            'Due Date', 'Emoji', 'Created Date', 'Attachments', 'Comments'
+            'Due Date', 'Emoji', 'Created Date', 'Attachments', 'Comments', 'Rank', 'Estimate',
+            ...fields.map(field => field.name)
         ]);
 
         // Task rows
@@ -470,7 +474,10 @@ class GoogleSheetsManager {
                 task.emoji || '',
                 task.createdDate || '',
                 attachments,
-                comments
+                comments,
+                typeof task.rank === 'number' ? task.rank : '',
+                task.estimate !== null && task.estimate !== undefined ? task.estimate : '',
+                ...fields.map(field => customFields.toCell(field, customFields.getValue(task, field)))
             ]);
         });
 
@@ -501,6 +508,16 @@ class GoogleSheetsManager {
         let inUsersSection = false;
         let usersHeadersFound = false;
 
+        // Columns after Estimate are custom fields, matched to this board's fields by name
+        const customFields = window.kanbanBoard ? window.kanbanBoard.customFields : null;
+        const customColumns = [];
+        if (customFields && values.length > 0) {
+            values[0].slice(13).forEach((header, offset) => {
+                const field = customFields.fields.find(f => f.name.toLowerCase() === String(header).trim().toLowerCase());
+                if (field) customColumns.push({ index: 13 + offset, field: field });
+            });
+        }
+
         for (let i = 0; i < values.length; i++) {
             const row = values[i];
 
@@ -568,6 +585,25 @@ class GoogleSheetsManager {
                     }
                 }
 
+                // Parse rank (order within the column)
+                if (row[11] !== undefined && row[11] !== '') {
+                    const rank = parseFloat(row[11]);
+                    if (!isNaN(rank)) task.rank = rank;
+                }
+
+                // Parse estimate (points or hours as numbers, T-shirt sizes as text)
+                if (row[12] !== undefined && row[12] !== '') {
+                    const estimate = parseFloat(row[12]);
+                    task.estimate = isNaN(estimate) ? String(row[12]) : estimate;
+                }
+
+                // Parse custom field columns
+                task.customFields = {};
+                customColumns.forEach(({ index, field }) => {
+                    const value = customFields.parseValue(field, row[index]);
+                    if (!customFields.isEmpty(value)) task.customFields[field.id] = value;
+                });
+
                 boardData.tasks.push(task);
             }
         }
@@ -585,7 +621,15 @@ class GoogleSheetsManager {
             'done': 'done',
             'completed': 'done'
         };
-        return statusMap[status.toLowerCase()] || 'backlog';
+        // Columns of the current board match by id or name
+        const value = String(status).trim().toLowerCase();
+        const board = window.kanbanBoard;
+        const columns = board ? board.panelConfig.columns : [];
+        const column = columns.find(c => c.id === value || c.name.toLowerCase() === value);
+        if (column) return column.id;
+        // The built-in column may have been removed or replaced on this board
+        const builtIn = statusMap[value] || 'backlog';
+        return board ? board.resolveStatus(builtIn) : builtIn;
     }
 
     getUserDisplayName(userId) {
@@ -5,15 +5,30 @@ class KanbanBoard {
     constructor() {
         this.tasks = [];
         this.nextTaskId = 1;
-        this.columns = ['backlog', 'todo', 'in-progress', 'done'];
-        this.columnNames = ['Backlog', 'To Do', 'In Progress', 'Done'];
-        this.panelConfig = {
-            count: 4,
-            names: ['Backlog', 'To Do', 'In Progress', 'Done']
-        };
+        // Columns come from the panel configuration (see normalizePanelConfig);
+        // this.columns holds their stable ids, which are the task statuses, in board order
+        this.panelConfig = KanbanBoard.normalizePanelConfig(null);
+        this.columns = this.panelConfig.columns.map(column => column.id);
         // Cache for GitHub label colors: { labelName: 'hexcolor' }
         this.labelColorMap = {};
         this.iconStyle = localStorage.getItem('kanban-icon-style') || 'emoji'; // 'emoji' or 'fontawesome'
+        // Swimlane grouping: '', 'assignee', 'priority', 'milestone', 'project' or 'label'
+        this.swimlaneGroupBy = localStorage.getItem('kanban-swimlane-group') || '';
+        // Filter bar query (see taskFilter.js for the syntax)
+        this.taskFilter = new TaskFilter(this);
+        // Card order inside columns: 'manual' (drag order), 'priority', 'dueDate', 'created' or 'title'
+        this.sortMode = localStorage.getItem('kanban-sort-mode') || 'manual';
+        // Card fields that are shown (see CARD_FIELDS)
+        this.cardFields = JSON.parse(localStorage.getItem('kanban-card-fields') || 'null') || Object.keys(KanbanBoard.CARD_FIELDS);
+        // Multi-select and bulk operations
+        this.selectedTaskIds = new Set();
+        this.selectionAnchorId = null;
+        this.undoStack = []; // Array of {label, previous, created}
+        this.isBatching = false; // true while a bulk operation runs - save/render once at the end
+        // Search box of the archive sidebar (same query syntax as the filter bar)
+        this.archiveFilter = new TaskFilter(this);
+        this.markdown = new MarkdownRenderer();
+        this.customFields = new CustomFields(this); // Board-defined extra fields
         this.init();
     }
 
@@ -45,7 +60,11 @@ class KanbanBoard {
             plus: { emoji: '➕', fontawesome: 'fas fa-plus' },
             undo: { emoji: '↩️', fontawesome: 'fas fa-undo' },
             close: { emoji: '✖️', fontawesome: 'fas fa-times' },
-            envelope: { emoji: '✉️', fontawesome: 'fas fa-envelope' }
+            envelope: { emoji: '✉️', fontawesome: 'fas fa-envelope' },
+            archive: { emoji: '🗄️', fontawesome: 'fas fa-archive' },
+            restore: { emoji: '♻️', fontawesome: 'fas fa-box-open' },
+            timer: { emoji: '⏱️', fontawesome: 'fas fa-stopwatch' },
+            stop: { emoji: '⏹️', fontawesome: 'fas fa-stop' }
         };
 
         const icons = iconMap[type] || iconMap.file;
@@ -107,8 +126,14 @@ class KanbanBoard {
         // Migrate any corrupted milestone data
         this.migrateTaskData();
         this.loadTasks();
+        this.autoArchiveDoneTasks();
         this.renderBoard();
         this.setupEventListeners();
+        this.setupArchiveSidebarListeners();
+        // Re-check auto-archive every hour for boards left open
+        setInterval(() => this.autoArchiveDoneTasks(), 60 * 60 * 1000);
+        // Keep running timers on cards and in the modal up to date
+        setInterval(() => this.updateRunningTimerDisplays(), 30 * 1000);
         this.setupEmailModalListeners();
         this.setupMessagesSidebarListeners();
     }
@@ -133,123 +158,1783 @@ class KanbanBoard {
                         }
                     }
                 }
-            });
-            if (changed) {
-                localStorage.setItem('kanban-tasks', JSON.stringify(tasks));
-                console.log('Migrated task data: fixed corrupted milestone');
+            });
+            if (changed) {
+                localStorage.setItem('kanban-tasks', JSON.stringify(tasks));
+                console.log('Migrated task data: fixed corrupted milestone');
+            }
+        } catch (e) {
+            console.warn('Failed to migrate task data:', e);
+        }
+    }
+
+    // Safely get milestone display name
+    getMilestoneDisplayName(milestone) {
+        if (!milestone) return '';
+        if (typeof milestone === 'string') {
+            // If it's "[object Object]", return empty string
+            if (milestone === '[object Object]') return '';
+            return milestone;
+        }
+        if (typeof milestone === 'object') {
+            return milestone.name || milestone.title || '';
+        }
+        return String(milestone);
+    }
+
+    // Task Management
+    createTask(data) {
+        const task = {
+            id: this.nextTaskId++,
+            title: data.title,
+            description: data.description || '',
+            emoji: data.emoji || '',
+            assignee: data.assignee || '',
+            userId: data.userId || null,
+            priority: data.priority || 'medium',
+            status: data.status || this.columns[0],
+            rank: typeof data.rank === 'number' ? data.rank : this.getNextRank(data.status || this.columns[0]), // order within the column
+            startDate: data.startDate || '', // YYYY-MM-DD; the timeline draws the task from here to its due date
+            dueDate: data.dueDate || '',
+            milestone: data.milestone || null, // { name: string, number: number } or null
+            project: data.project || null,   // { id: string, title: string } or null
+            parentIssueId: data.parentIssueId || null, // id of the parent task when this is a subtask
+            checklist: data.checklist || [], // Array of {id, text, done}
+            estimate: data.estimate !== undefined && data.estimate !== '' ? data.estimate : null, // Points, T-shirt size or hours (see ESTIMATE_SCALES)
+            customFields: data.customFields || {}, // { [fieldId]: value } for the board's custom fields
+            timeEntries: data.timeEntries || [], // Array of {id, userId, startedAt, endedAt, duration (seconds), note}
+            blockedBy: data.blockedBy || [], // ids of tasks that must be done before this one
+            recurrence: data.recurrence || null, // { type: daily|weekly|monthly|interval, interval, weekdays } or null
+            seriesId: data.seriesId || null, // id of the first task in a recurring series
+            previousOccurrenceId: data.previousOccurrenceId || null,
+            nextOccurrenceId: data.nextOccurrenceId || null,
+            labels: data.labels || [], // Array of label names
+            backgroundColor: data.backgroundColor || '#2d2d2d',
+            attachments: data.attachments || [], // Array of {type, url, name}
+            comments: data.comments || [], // Array of {id, userId, text, createdAt}
+            archived: data.archived || false, // Hidden from the board, listed in the Archive sidebar
+            archivedAt: data.archivedAt || null,
+            history: data.history || [], // Array of {field, oldValue, newValue, userId, timestamp}
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        if (!data.history) {
+            task.history.push(this.createHistoryEntry('created', null, task.status));
+        }
+
+        this.tasks.push(task);
+        this.saveTasks();
+        return task;
+    }
+
+    updateTask(id, updates) {
+        const task = this.tasks.find(t => t.id === id);
+        if (task) {
+            const previousStatus = task.status;
+            // A task moved to another column without an explicit position goes to the bottom
+            if (updates.status && updates.status !== previousStatus && updates.rank === undefined) {
+                task.rank = this.getNextRank(updates.status, id);
+            }
+            this.recordHistory(task, updates);
+            Object.assign(task, updates, { updatedAt: new Date().toISOString() });
+            if (updates.status && updates.status !== previousStatus) {
+                this.onTaskStatusChange(task, previousStatus);
+            }
+            if (!this.isBatching) {
+                this.saveTasks();
+                this.renderBoard();
+            }
+        }
+    }
+
+    deleteTask(id) {
+        const task = this.tasks.find(t => t.id === id);
+        this.tasks = this.tasks.filter(t => t.id !== id);
+        // Orphaned subtasks become top-level tasks
+        this.tasks.forEach(t => {
+            if (t.parentIssueId === id) t.parentIssueId = null;
+            if (t.blockedBy && t.blockedBy.includes(id)) {
+                t.blockedBy = t.blockedBy.filter(blockerId => blockerId !== id);
+            }
+        });
+        if (task && task.parentIssueId) {
+            this.rollUpParentStatus(task.parentIssueId);
+        }
+        this.selectedTaskIds.delete(id);
+        if (!this.isBatching) {
+            this.saveTasks();
+            this.renderBoard();
+        }
+    }
+
+    // Archived tasks stay in the data but are hidden from the board
+    archiveTask(id) {
+        this.updateTask(id, { archived: true, archivedAt: new Date().toISOString() });
+    }
+
+    restoreTask(id) {
+        this.updateTask(id, { archived: false, archivedAt: null });
+    }
+
+    // ========== ARCHIVE ==========
+
+    getArchivedTasks() {
+        return this.tasks
+            .filter(task => task.archived)
+            .sort((a, b) => (b.archivedAt || '').localeCompare(a.archivedAt || ''));
+    }
+
+    // When a task last entered its current column (from history, falling back to updatedAt)
+    getStatusEnteredAt(task) {
+        const entries = this.getStatusHistory(task).filter(entry => entry.newValue === task.status);
+        const last = entries[entries.length - 1];
+        return new Date(last ? last.timestamp : (task.updatedAt || task.createdAt));
+    }
+
+    // Archive tasks that have been in the done column for longer than the configured number of days
+    autoArchiveDoneTasks() {
+        const days = parseInt(localStorage.getItem('kanban-auto-archive-days')) || 0;
+        if (days <= 0) return;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const stale = this.tasks.filter(task =>
+            !task.archived && this.isTaskDone(task) && this.getStatusEnteredAt(task).getTime() < cutoff);
+        if (stale.length === 0) return;
+
+        const archivedAt = new Date().toISOString();
+        this.isBatching = true;
+        try {
+            stale.forEach(task => this.updateTask(task.id, { archived: true, archivedAt: archivedAt }));
+        } finally {
+            this.isBatching = false;
+        }
+        this.saveTasks();
+        this.renderBoard();
+        this.showNotification(`Auto-archived ${stale.length} task${stale.length === 1 ? '' : 's'} done for more than ${days} days`, 'info');
+    }
+
+    openArchiveSidebar() {
+        const sidebar = document.getElementById('archive-sidebar');
+        const overlay = document.getElementById('archive-overlay');
+        if (sidebar) {
+            sidebar.classList.add('active');
+            this.renderArchiveList();
+        }
+        if (overlay) {
+            overlay.classList.add('active');
+        }
+    }
+
+    closeArchiveSidebar() {
+        const sidebar = document.getElementById('archive-sidebar');
+        const overlay = document.getElementById('archive-overlay');
+        if (sidebar) {
+            sidebar.classList.remove('active');
+        }
+        if (overlay) {
+            overlay.classList.remove('active');
+        }
+    }
+
+    renderArchiveList() {
+        const container = document.getElementById('archive-list');
+        if (!container) return;
+
+        const archived = this.getArchivedTasks();
+        const matching = archived.filter(task => this.archiveFilter.matches(task));
+        const countEl = document.getElementById('archive-count');
+        if (countEl) {
+            countEl.textContent = this.archiveFilter.isActive()
+                ? `${matching.length} of ${archived.length} archived tasks`
+                : `${archived.length} archived task${archived.length === 1 ? '' : 's'}`;
+        }
+
+        container.innerHTML = '';
+        if (matching.length === 0) {
+            container.innerHTML = `<p class="message-empty">${archived.length === 0 ? 'No archived tasks' : 'No archived tasks match'}</p>`;
+            return;
+        }
+
+        matching.forEach(task => {
+            const index = this.columns.indexOf(task.status);
+            const columnName = this.panelConfig.names[index] || task.status;
+            const item = document.createElement('div');
+            item.className = 'archive-item';
+            item.innerHTML = `
+                <div class="archive-item-title">${task.emoji ? this.escapeHtml(task.emoji) + ' ' : ''}${this.escapeHtml(task.title)}</div>
+                <div class="archive-item-meta">
+                    #${task.id} · ${this.escapeHtml(columnName)} · archived ${task.archivedAt ? this.formatTaskDate(task.archivedAt) : ''}
+                </div>
+                <div class="archive-item-actions">
+                    <button class="btn btn-sm" data-action="open">${this.getIcon('edit')} Open</button>
+                    <button class="btn btn-sm" data-action="restore">${this.getIcon('restore')} Restore</button>
+                    <button class="btn btn-sm delete" data-action="delete">${this.getIcon('trash')} Delete forever</button>
+                </div>
+            `;
+
+            item.querySelector('[data-action="open"]').addEventListener('click', () => this.openTaskModal(task));
+            item.querySelector('[data-action="restore"]').addEventListener('click', () => {
+                this.restoreTask(task.id);
+                this.renderArchiveList();
+                this.showNotification(`"${task.title}" restored to ${columnName}`, 'success');
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (this.deleteTaskWithConfirmation(task.id)) {
+                    this.renderArchiveList();
+                }
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    setupArchiveSidebarListeners() {
+        const archiveBtn = document.getElementById('archive-btn');
+        const closeBtn = document.getElementById('archive-sidebar-close');
+        const overlay = document.getElementById('archive-overlay');
+        const searchInput = document.getElementById('archive-search');
+
+        if (archiveBtn) {
+            archiveBtn.onclick = () => this.openArchiveSidebar();
+        }
+        if (closeBtn) {
+            closeBtn.onclick = () => this.closeArchiveSidebar();
+        }
+        if (overlay) {
+            overlay.onclick = () => this.closeArchiveSidebar();
+        }
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                this.archiveFilter.setQuery(searchInput.value);
+                this.renderArchiveList();
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeArchiveSidebar();
+            }
+        });
+    }
+
+    // Hook for side effects of a status change (called from updateTask)
+    onTaskStatusChange(task, previousStatus) {
+        if (task.parentIssueId) {
+            this.rollUpParentStatus(task.parentIssueId);
+        }
+        if (task.recurrence && this.isTaskDone(task) && !task.nextOccurrenceId) {
+            this.createNextOccurrence(task);
+        }
+    }
+
+    // Status of the column marked as done (see normalizePanelConfig) - tasks there count as done
+    getDoneStatus() {
+        const column = this.panelConfig.columns.find(c => c.done);
+        return column ? column.id : this.columns[this.columns.length - 1];
+    }
+
+    // Status that represents work being started
+    getInProgressStatus() {
+        if (this.columns.includes('in-progress')) return 'in-progress';
+        return this.columns[Math.max(this.columns.indexOf(this.getDoneStatus()) - 1, 0)];
+    }
+
+    // Column for a status that may not exist on this board (imports, pulls, removed columns):
+    // built-in ids map to the columns that play their part, anything else to the first column
+    resolveStatus(status) {
+        if (this.columns.includes(status)) return status;
+        if (status === 'done') return this.getDoneStatus();
+        if (status === 'in-progress') return this.getInProgressStatus();
+        return this.columns[0];
+    }
+
+    isTaskDone(task) {
+        return !!task && task.status === this.getDoneStatus();
+    }
+
+    // ========== SUBTASKS & CHECKLISTS ==========
+
+    getSubtasks(parentId) {
+        return this.tasks.filter(t => t.parentIssueId === parentId);
+    }
+
+    // Combined progress of subtasks and checklist items: { done, total }. Archived subtasks
+    // are left out, as in the WIP counts.
+    getTaskProgress(task) {
+        const subtasks = this.getSubtasks(task.id).filter(t => !t.archived);
+        const checklist = task.checklist || [];
+        return {
+            done: subtasks.filter(t => this.isTaskDone(t)).length + checklist.filter(i => i.done).length,
+            total: subtasks.length + checklist.length
+        };
+    }
+
+    createSubtask(parentId, title) {
+        const parent = this.tasks.find(t => t.id === parentId);
+        if (!parent) return null;
+
+        const subtask = this.createTask({
+            title: title,
+            status: this.columns[0],
+            parentIssueId: parentId,
+            assignee: parent.assignee,
+            milestone: parent.milestone,
+            project: parent.project,
+            userId: window.userManager ? window.userManager.currentUserId : null
+        });
+        this.rollUpParentStatus(parentId);
+        return subtask;
+    }
+
+    // Move the parent so it reflects the state of its subtasks:
+    // all done -> done, any started -> in progress, reopened child -> parent leaves done
+    rollUpParentStatus(parentId) {
+        const parent = this.tasks.find(t => t.id === parentId);
+        const subtasks = this.getSubtasks(parentId).filter(t => !t.archived);
+        if (!parent || subtasks.length === 0) return;
+
+        const doneStatus = this.getDoneStatus();
+        const inProgressStatus = this.getInProgressStatus();
+        const inProgressIndex = this.columns.indexOf(inProgressStatus);
+        const indexes = subtasks.map(t => this.columns.indexOf(t.status));
+        const parentIndex = this.columns.indexOf(parent.status);
+        const anyStarted = indexes.some(i => i >= inProgressIndex);
+
+        let target = null;
+        if (subtasks.every(t => t.status === doneStatus)) {
+            target = doneStatus;
+        } else if (parent.status === doneStatus) {
+            target = anyStarted ? inProgressStatus : this.columns[Math.max(Math.min(...indexes), 0)];
+        } else if (anyStarted && parentIndex < inProgressIndex) {
+            target = inProgressStatus;
+        }
+
+        if (target && target !== parent.status) {
+            this.updateTask(parent.id, { status: target });
+        }
+    }
+
+    // ========== RECURRING TASKS ==========
+
+    // Parse a YYYY-MM-DD string as a local date
+    parseDateOnly(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(n => parseInt(n));
+        return new Date(year, month - 1, day);
+    }
+
+    formatDateOnly(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    // Work out the due date of the occurrence after fromDate (YYYY-MM-DD)
+    getNextRecurrenceDate(fromDate, recurrence) {
+        const date = fromDate ? this.parseDateOnly(fromDate) : new Date();
+        date.setHours(0, 0, 0, 0);
+        const interval = Math.max(parseInt(recurrence.interval) || 1, 1);
+
+        switch (recurrence.type) {
+            case 'daily':
+                date.setDate(date.getDate() + 1);
+                break;
+            case 'weekly': {
+                const weekdays = (recurrence.weekdays && recurrence.weekdays.length > 0)
+                    ? recurrence.weekdays
+                    : [date.getDay()];
+                do {
+                    date.setDate(date.getDate() + 1);
+                } while (!weekdays.includes(date.getDay()));
+                break;
+            }
+            case 'monthly': {
+                // Keep the day of month, clamped to the length of the next month
+                const day = date.getDate();
+                date.setDate(1);
+                date.setMonth(date.getMonth() + 1);
+                const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+                date.setDate(Math.min(day, lastDay));
+                break;
+            }
+            case 'interval':
+                date.setDate(date.getDate() + interval);
+                break;
+            default:
+                return null;
+        }
+
+        return this.formatDateOnly(date);
+    }
+
+    // Due date of the next occurrence of a recurring task. An overdue task is rolled forward
+    // past the missed occurrences so the new one is not overdue the moment it is created.
+    getNextOccurrenceDueDate(task) {
+        const today = this.formatDateOnly(new Date());
+        let dueDate = this.getNextRecurrenceDate(task.dueDate, task.recurrence);
+        while (dueDate && dueDate < today) {
+            dueDate = this.getNextRecurrenceDate(dueDate, task.recurrence);
+        }
+        return dueDate;
+    }
+
+    // Human readable summary of a recurrence rule
+    describeRecurrence(recurrence) {
+        if (!recurrence) return '';
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        switch (recurrence.type) {
+            case 'daily':
+                return 'Daily';
+            case 'weekly':
+                return (recurrence.weekdays && recurrence.weekdays.length > 0)
+                    ? `Weekly on ${recurrence.weekdays.map(d => dayNames[d]).join(', ')}`
+                    : 'Weekly';
+            case 'monthly':
+                return 'Monthly';
+            case 'interval':
+                return `Every ${recurrence.interval} days`;
+            default:
+                return '';
+        }
+    }
+
+    // Create the next task in a recurring series when one is completed
+    createNextOccurrence(task) {
+        const nextTask = this.createTask({
+            title: task.title,
+            description: task.description,
+            emoji: task.emoji,
+            assignee: task.assignee,
+            userId: task.userId,
+            priority: task.priority,
+            status: this.columns[0],
+            dueDate: this.getNextOccurrenceDueDate(task) || '',
+            milestone: task.milestone,
+            project: task.project,
+            parentIssueId: task.parentIssueId,
+            checklist: (task.checklist || []).map(item => ({ ...item, done: false })),
+            labels: [...(task.labels || [])],
+            backgroundColor: task.backgroundColor,
+            recurrence: { ...task.recurrence },
+            seriesId: task.seriesId || task.id,
+            previousOccurrenceId: task.id
+        });
+
+        task.seriesId = task.seriesId || task.id;
+        task.nextOccurrenceId = nextTask.id;
+        this.showNotification(`Next "${task.title}" scheduled${nextTask.dueDate ? ' for ' + this.formatTaskDate(nextTask.dueDate) : ''}`, 'info');
+        return nextTask;
+    }
+
+    // All tasks in the same recurring series, oldest first
+    getSeriesTasks(task) {
+        const seriesId = task.seriesId || task.id;
+        return this.tasks
+            .filter(t => t.id === seriesId || t.seriesId === seriesId)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    // ========== DEPENDENCIES ==========
+
+    // Tasks this task is blocked by
+    getBlockers(task) {
+        return (task.blockedBy || [])
+            .map(id => this.tasks.find(t => t.id === id))
+            .filter(Boolean);
+    }
+
+    // Blockers that are not done yet (an archived blocker no longer holds anything up)
+    getOpenBlockers(task) {
+        return this.getBlockers(task).filter(t => !this.isTaskDone(t) && !t.archived);
+    }
+
+    // Tasks that this task blocks
+    getBlockedTasks(taskId) {
+        return this.tasks.filter(t => (t.blockedBy || []).includes(taskId));
+    }
+
+    isTaskBlocked(task) {
+        return this.getOpenBlockers(task).length > 0;
+    }
+
+    // True if blockerId already depends (directly or indirectly) on taskId
+    wouldCreateDependencyCycle(taskId, blockerId) {
+        const visited = new Set();
+        const stack = [blockerId];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === taskId) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            const task = this.tasks.find(t => t.id === id);
+            if (task) stack.push(...(task.blockedBy || []));
+        }
+        return false;
+    }
+
+    // Mark taskId as blocked by blockerId
+    addDependency(taskId, blockerId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || taskId === blockerId || !this.tasks.some(t => t.id === blockerId)) return false;
+        if ((task.blockedBy || []).includes(blockerId)) return false;
+
+        if (this.wouldCreateDependencyCycle(taskId, blockerId)) {
+            this.showNotification('That dependency would create a cycle', 'error');
+            return false;
+        }
+
+        this.updateTask(taskId, { blockedBy: [...(task.blockedBy || []), blockerId] });
+        return true;
+    }
+
+    removeDependency(taskId, blockerId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        this.updateTask(taskId, { blockedBy: (task.blockedBy || []).filter(id => id !== blockerId) });
+    }
+
+    // extraUpdates carries field changes from the drop target (e.g. a swimlane).
+    // position { beforeTaskId } or { afterTaskId } places the task next to a card in the column.
+    // The status change is recorded in the task's history (with a timestamp) like any other
+    // edit; reports replay those entries (getStatusAt).
+    moveTask(taskId, newStatus, extraUpdates = {}, position = null) {
+        const updates = { status: newStatus, ...extraUpdates };
+        if (position) {
+            updates.rank = this.getRankForPosition(newStatus, taskId, position);
+        }
+        this.updateTask(taskId, updates);
+    }
+
+    // ========== CHANGE HISTORY ==========
+
+    createHistoryEntry(field, oldValue, newValue) {
+        return {
+            field: field,
+            oldValue: oldValue === undefined ? null : this.compactHistoryValue(field, oldValue),
+            newValue: newValue === undefined ? null : this.compactHistoryValue(field, newValue),
+            userId: window.userManager ? window.userManager.currentUserId || null : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Descriptions and attachments are kept short in the history (the activity list only
+    // shows a summary of them), so every save does not store another full copy
+    compactHistoryValue(field, value) {
+        if (field === 'description' && typeof value === 'string' && value.length > KanbanBoard.HISTORY_TEXT_LENGTH) {
+            return value.slice(0, KanbanBoard.HISTORY_TEXT_LENGTH) + '…';
+        }
+        if (field === 'attachments' && Array.isArray(value)) {
+            return value.map(attachment => ({ name: attachment && attachment.name ? attachment.name : '' }));
+        }
+        return value;
+    }
+
+    // Keep at most HISTORY_LIMIT entries per task. The oldest edits go first; the creation,
+    // status, milestone and archive entries that reports replay are only dropped after those.
+    trimHistory(task) {
+        const history = task.history || [];
+        let excess = history.length - KanbanBoard.HISTORY_LIMIT;
+        if (excess <= 0) return;
+
+        const replayed = ['created', 'status', 'milestone', 'archived'];
+        const dropped = new Set();
+        [entry => !replayed.includes(entry.field), entry => entry.field !== 'created'].forEach(canDrop => {
+            history.forEach(entry => {
+                if (excess > 0 && !dropped.has(entry) && canDrop(entry)) {
+                    dropped.add(entry);
+                    excess--;
+                }
+            });
+        });
+        task.history = history.filter(entry => !dropped.has(entry));
+    }
+
+    // Append an entry for every field that the updates actually change
+    recordHistory(task, updates) {
+        // Bookkeeping fields that are not user-visible changes
+        const ignored = ['rank', 'updatedAt', 'history', 'comments', 'seriesId', 'previousOccurrenceId', 'nextOccurrenceId', 'archivedAt', 'timeEntries'];
+        // Compare labels, milestones and projects by what the user sees, since the
+        // modal and GitHub store slightly different shapes of the same value
+        const normalize = (field, value) => {
+            if (value === undefined || value === '') value = null;
+            if (field === 'labels' && Array.isArray(value)) {
+                value = value.map(l => typeof l === 'object' ? l.name : l);
+            } else if (field === 'milestone') {
+                value = this.getMilestoneDisplayName(value) || null;
+            } else if (field === 'project' && value) {
+                value = value.id || null;
+            }
+            return JSON.stringify(value);
+        };
+
+        task.history = task.history || [];
+        Object.keys(updates).forEach(field => {
+            if (ignored.includes(field)) return;
+            // One entry per custom field that changed, recorded as "custom:<fieldId>"
+            if (field === 'customFields') {
+                const before = task.customFields || {};
+                const after = updates.customFields || {};
+                new Set([...Object.keys(before), ...Object.keys(after)]).forEach(id => {
+                    if (normalize(id, before[id]) === normalize(id, after[id])) return;
+                    task.history.push(this.createHistoryEntry(`custom:${id}`, before[id], after[id]));
+                });
+                return;
+            }
+            if (normalize(field, task[field]) === normalize(field, updates[field])) return;
+            task.history.push(this.createHistoryEntry(field, task[field], updates[field]));
+        });
+        this.trimHistory(task);
+    }
+
+    // Readable value for the activity list
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0)) {
+            return 'none';
+        }
+
+        if (field.startsWith('custom:')) {
+            const customField = this.customFields.getField(field.slice(7));
+            return customField ? this.customFields.formatValue(customField, value) : String(value);
+        }
+
+        switch (field) {
+            case 'status':
+            case 'created': {
+                const index = this.columns.indexOf(value);
+                return (index >= 0 && this.panelConfig.names[index]) || value;
+            }
+            case 'assignee':
+                return this.getUserName(value);
+            case 'milestone':
+                return this.getMilestoneDisplayName(value) || 'none';
+            case 'project':
+                return value.title || value.id || 'none';
+            case 'labels':
+                return value.map(l => typeof l === 'object' ? l.name : l).join(', ');
+            case 'checklist':
+                return `${value.filter(i => i.done).length}/${value.length} done`;
+            case 'attachments':
+                return `${value.length} attachment${value.length === 1 ? '' : 's'}`;
+            case 'blockedBy':
+                return value.map(id => `#${id}`).join(', ');
+            case 'parentIssueId':
+                return `#${value}`;
+            case 'recurrence':
+                return this.describeRecurrence(value) || 'none';
+            case 'startDate':
+            case 'dueDate':
+                return this.formatTaskDate(value);
+            case 'description': {
+                const text = String(value);
+                return text.length > KanbanBoard.HISTORY_TEXT_LENGTH ? text.slice(0, KanbanBoard.HISTORY_TEXT_LENGTH) + '…' : text;
+            }
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    // Status changes of a task in time order, starting with its creation
+    getStatusHistory(task) {
+        return (task.history || []).filter(entry => entry.field === 'status' || entry.field === 'created');
+    }
+
+    // Column a task was in at a point in time (null if it did not exist yet or was archived
+    // outside the done column). Tasks from before history was kept use their current status.
+    getStatusAt(task, date) {
+        const time = new Date(date).getTime();
+        if (new Date(task.createdAt).getTime() > time) return null;
+
+        const entries = this.getStatusHistory(task);
+        const past = entries.filter(entry => new Date(entry.timestamp).getTime() <= time);
+        let status;
+        if (past.length > 0) {
+            status = past[past.length - 1].newValue;
+        } else if (entries.length > 0 && entries[0].field === 'status') {
+            status = entries[0].oldValue;
+        } else {
+            status = task.status;
+        }
+
+        const archived = (task.history || []).filter(entry =>
+            entry.field === 'archived' && new Date(entry.timestamp).getTime() <= time);
+        const isArchived = archived.length > 0 ? !!archived[archived.length - 1].newValue : false;
+        if (isArchived && status !== this.getDoneStatus()) return null;
+
+        return status;
+    }
+
+    // Name of the milestone a task belonged to at a point in time ('' if none), from its
+    // recorded milestone changes; tasks with no recorded change use their current milestone
+    getMilestoneAt(task, date) {
+        const time = new Date(date).getTime();
+        const entries = (task.history || []).filter(entry => entry.field === 'milestone');
+        const past = entries.filter(entry => new Date(entry.timestamp).getTime() <= time);
+        if (past.length > 0) return this.getMilestoneDisplayName(past[past.length - 1].newValue);
+        if (entries.length > 0) return this.getMilestoneDisplayName(entries[0].oldValue);
+        return this.getMilestoneDisplayName(task.milestone);
+    }
+
+    // When a done task was created, started and finished, with lead time (created to done) and
+    // cycle time (first move into the in-progress column or beyond, to done) in days.
+    // Null for tasks that are not done; cycleDays is null if the start was never recorded.
+    getFlowTimes(task) {
+        if (!this.isTaskDone(task)) return null;
+
+        const day = 24 * 60 * 60 * 1000;
+        const startIndex = this.columns.indexOf(this.getInProgressStatus());
+        const started = this.getStatusHistory(task).find(entry => this.columns.indexOf(entry.newValue) >= startIndex);
+        const createdAt = new Date(task.createdAt);
+        const doneAt = this.getStatusEnteredAt(task);
+        const startedAt = started ? new Date(started.timestamp) : null;
+
+        return {
+            createdAt: createdAt,
+            startedAt: startedAt,
+            doneAt: doneAt,
+            leadDays: Math.max(0, (doneAt - createdAt) / day),
+            cycleDays: startedAt ? Math.max(0, (doneAt - startedAt) / day) : null
+        };
+    }
+
+    // ========== MANUAL ORDERING ==========
+
+    // Tasks of a column (or any list) in rank order
+    sortByRank(tasks) {
+        return [...tasks].sort((a, b) => (a.rank || 0) - (b.rank || 0));
+    }
+
+    getColumnTasksByRank(status, excludeId = null) {
+        return this.sortByRank(this.tasks.filter(t => t.status === status && t.id !== excludeId));
+    }
+
+    // Rank that puts a task at the bottom of a column
+    getNextRank(status, excludeId = null) {
+        const columnTasks = this.getColumnTasksByRank(status, excludeId);
+        return columnTasks.length > 0 ? (columnTasks[columnTasks.length - 1].rank || 0) + 1 : 0;
+    }
+
+    // Rank halfway between the neighbours at the drop position
+    getRankForPosition(status, taskId, position) {
+        let columnTasks = this.getColumnTasksByRank(status, taskId);
+        let index = -1;
+
+        if (position.beforeTaskId) {
+            index = columnTasks.findIndex(t => t.id === position.beforeTaskId);
+        } else if (position.afterTaskId) {
+            const afterIndex = columnTasks.findIndex(t => t.id === position.afterTaskId);
+            index = afterIndex >= 0 ? afterIndex + 1 : -1;
+        }
+        if (index < 0 || index >= columnTasks.length) {
+            return this.getNextRank(status, taskId);
+        }
+
+        const next = columnTasks[index];
+        const prev = columnTasks[index - 1];
+        if (!prev) return next.rank - 1;
+
+        // Renumber the column when repeated inserts have used up the gap
+        if (next.rank - prev.rank < 1e-6) {
+            columnTasks.forEach((t, i) => { t.rank = i; });
+            columnTasks = this.getColumnTasksByRank(status, taskId);
+            return (columnTasks[index - 1].rank + columnTasks[index].rank) / 2;
+        }
+        return (prev.rank + next.rank) / 2;
+    }
+
+    // Move tasks whose status has no column (imported or pulled from a board with other
+    // columns) into one that exists, so they are not silently left off the board
+    ensureTaskStatuses() {
+        const orphans = this.tasks.filter(task => !this.columns.includes(task.status));
+        if (orphans.length === 0) return;
+
+        orphans.forEach(task => {
+            const status = this.resolveStatus(task.status);
+            const updates = { status: status, rank: this.getNextRank(status, task.id) };
+            this.recordHistory(task, updates);
+            Object.assign(task, updates, { updatedAt: new Date().toISOString() });
+        });
+        this.saveTasks();
+        this.showNotification(`Moved ${orphans.length} task${orphans.length === 1 ? '' : 's'} from columns this board does not have`, 'info');
+    }
+
+    // Give tasks without a rank (older data, imports) one at the bottom of their column
+    ensureTaskRanks() {
+        this.tasks.forEach(task => {
+            if (typeof task.rank !== 'number') {
+                task.rank = this.getNextRank(task.status, task.id);
+            }
+        });
+    }
+
+    // Rendering
+    renderBoard() {
+        // Load panel configuration and (re)build the columns if they changed
+        this.loadPanelConfig();
+        this.renderColumns();
+
+        this.ensureTaskStatuses();
+        this.ensureTaskRanks();
+        const swimlanesActive = this.updateSwimlaneVisibility();
+
+        // Render columns based on configuration (emptied while swimlanes are shown)
+        this.columns.forEach((status, index) => {
+            const column = document.getElementById(`${status}-tasks`);
+            if (column) {
+                column.innerHTML = '';
+                if (swimlanesActive) return;
+                const columnTasks = this.sortTasksForDisplay(this.tasks.filter(task => task.status === status && this.isTaskVisible(task)));
+                columnTasks.forEach(task => this.renderTask(task, column));
+            }
+        });
+
+        if (swimlanesActive) {
+            this.renderSwimlanes(document.getElementById('swimlane-board'));
+        }
+
+        this.applyCardFieldClasses();
+        this.updateTaskCounts();
+        this.updateBulkActionBar();
+        this.updateInboxBadge();
+        if (window.reminders) {
+            window.reminders.refresh();
+        }
+
+        // The calendar or timeline replaces the columns while it is open
+        if (window.calendarView) {
+            window.calendarView.refresh();
+        }
+        if (window.timelineView) {
+            window.timelineView.refresh();
+        }
+    }
+
+    // ========== MULTI-SELECT & BULK OPERATIONS ==========
+
+    // Ctrl/Cmd-click toggles a card, Shift-click selects a range within its column
+    handleCardSelectionClick(e, task, taskElement) {
+        if (e.shiftKey && this.selectionAnchorId !== null) {
+            const cards = Array.from(taskElement.parentNode.querySelectorAll('.task-card'));
+            const anchorIndex = cards.findIndex(card => parseInt(card.dataset.taskId) === this.selectionAnchorId);
+            const index = cards.indexOf(taskElement);
+            if (anchorIndex >= 0) {
+                const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+                cards.slice(start, end + 1).forEach(card => this.selectedTaskIds.add(parseInt(card.dataset.taskId)));
+            } else {
+                this.selectedTaskIds.add(task.id);
+            }
+        } else if (this.selectedTaskIds.has(task.id)) {
+            this.selectedTaskIds.delete(task.id);
+        } else {
+            this.selectedTaskIds.add(task.id);
+        }
+        this.selectionAnchorId = task.id;
+        this.updateSelectionDisplay();
+    }
+
+    clearSelection() {
+        if (this.selectedTaskIds.size === 0) return;
+        this.selectedTaskIds.clear();
+        this.selectionAnchorId = null;
+        this.updateSelectionDisplay();
+    }
+
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedTaskIds.has(task.id));
+    }
+
+    // Refresh the selected state of rendered cards and the bulk bar without a full render
+    updateSelectionDisplay() {
+        document.querySelectorAll('.task-card').forEach(card => {
+            card.classList.toggle('selected', this.selectedTaskIds.has(parseInt(card.dataset.taskId)));
+        });
+        this.updateBulkActionBar();
+    }
+
+    // Run several task changes as one undoable operation
+    runBulkOperation(label, operation) {
+        const before = new Map(this.tasks.map(t => [t.id, JSON.stringify(t)]));
+
+        this.isBatching = true;
+        try {
+            operation();
+        } finally {
+            this.isBatching = false;
+        }
+
+        const afterIds = new Set(this.tasks.map(t => t.id));
+        const entry = {
+            label: label,
+            previous: [], // copies of tasks as they were before the operation
+            created: this.tasks.filter(t => !before.has(t.id)).map(t => t.id)
+        };
+        before.forEach((json, id) => {
+            const current = this.tasks.find(t => t.id === id);
+            if (!afterIds.has(id) || JSON.stringify(current) !== json) {
+                entry.previous.push(JSON.parse(json));
+            }
+        });
+
+        if (entry.previous.length > 0 || entry.created.length > 0) {
+            this.undoStack.push(entry);
+            if (this.undoStack.length > 20) this.undoStack.shift();
+        }
+
+        this.saveTasks();
+        this.renderBoard();
+        this.showNotification(`${label} (Ctrl+Z to undo)`, 'success');
+    }
+
+    // Revert the last bulk operation
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.showNotification('Nothing to undo', 'info');
+            return;
+        }
+
+        this.tasks = this.tasks.filter(t => !entry.created.includes(t.id));
+        entry.previous.forEach(previous => {
+            const index = this.tasks.findIndex(t => t.id === previous.id);
+            if (index >= 0) {
+                this.tasks[index] = previous;
+            } else {
+                this.tasks.push(previous);
+            }
+        });
+
+        this.saveTasks();
+        this.renderBoard();
+        this.showNotification(`Undone: ${entry.label}`, 'info');
+    }
+
+    bulkUpdate(updates, label) {
+        const ids = [...this.selectedTaskIds];
+        if (ids.length === 0) return;
+        this.runBulkOperation(label, () => {
+            ids.forEach(id => this.updateTask(id, updates));
+        });
+    }
+
+    // Move the selected tasks to a column with the WIP limit and blocker checks that drag and
+    // drop applies, asked once for the whole selection. Moved tasks go to the bottom of the column.
+    bulkMove(status) {
+        const columnName = this.getColumnName(status);
+        let tasks = [...this.selectedTaskIds]
+            .map(id => this.tasks.find(t => t.id === id))
+            .filter(task => task && task.status !== status);
+        if (tasks.length === 0) return;
+
+        // Only moves into In Progress (or further right) count as starting work
+        if (this.columns.indexOf(status) >= this.columns.indexOf(this.getInProgressStatus())) {
+            const blocked = tasks.filter(task => this.getOpenBlockers(task).length > 0);
+            if (blocked.length > 0) {
+                const blockedList = blocked.map(t => `#${t.id} ${t.title}`).join(', ');
+                const mode = window.settingsManager ? window.settingsManager.dependencyMode : 'warn';
+                if (mode === 'block') {
+                    this.showNotification(`Not moved, blocked by tasks that are not done: ${blockedList}`, 'error');
+                    tasks = tasks.filter(task => !blocked.includes(task));
+                    if (tasks.length === 0) return;
+                } else if (!confirm(`${blockedList} ${blocked.length === 1 ? 'is' : 'are'} blocked by tasks that are not done yet.\n\nMove ${tasks.length === 1 ? 'it' : 'them'} anyway?`)) {
+                    return;
+                }
+            }
+        }
+
+        const limit = this.getWipLimit(status);
+        const count = this.getColumnTaskCount(status) + tasks.filter(task => !task.archived).length;
+        if (limit && count > limit) {
+            if (this.getWipMode() === 'hard') {
+                this.showNotification(`Moving ${tasks.length} task${tasks.length === 1 ? '' : 's'} would take ${columnName} over its WIP limit of ${limit}`, 'error');
+                return;
+            }
+            if (!confirm(`${columnName} would have ${count} of ${limit} tasks (WIP limit).\n\nMove ${tasks.length} task${tasks.length === 1 ? '' : 's'} anyway?`)) {
+                return;
+            }
+        }
+
+        this.runBulkOperation(`Moved ${tasks.length} task${tasks.length === 1 ? '' : 's'} to ${columnName}`, () => {
+            tasks.forEach(task => this.moveTask(task.id, status));
+        });
+    }
+
+    bulkAddLabel(labelName) {
+        const ids = [...this.selectedTaskIds];
+        this.runBulkOperation(`Added label "${labelName}" to ${ids.length} tasks`, () => {
+            ids.forEach(id => {
+                const task = this.tasks.find(t => t.id === id);
+                const labels = task.labels || [];
+                if (!labels.some(l => (typeof l === 'object' ? l.name : l) === labelName)) {
+                    this.updateTask(id, { labels: [...labels, labelName] });
+                }
+            });
+        });
+    }
+
+    bulkRemoveLabel(labelName) {
+        const ids = [...this.selectedTaskIds];
+        this.runBulkOperation(`Removed label "${labelName}" from ${ids.length} tasks`, () => {
+            ids.forEach(id => {
+                const task = this.tasks.find(t => t.id === id);
+                const labels = (task.labels || []).filter(l => (typeof l === 'object' ? l.name : l) !== labelName);
+                if (labels.length !== (task.labels || []).length) {
+                    this.updateTask(id, { labels: labels });
+                }
+            });
+        });
+    }
+
+    bulkArchive() {
+        const ids = [...this.selectedTaskIds];
+        this.runBulkOperation(`Archived ${ids.length} tasks`, () => {
+            ids.forEach(id => this.archiveTask(id));
+        });
+        this.clearSelection();
+    }
+
+    bulkDelete() {
+        const ids = [...this.selectedTaskIds];
+        if (!confirm(`Delete ${ids.length} selected tasks?`)) return;
+        this.runBulkOperation(`Deleted ${ids.length} tasks`, () => {
+            ids.forEach(id => this.deleteTask(id));
+        });
+        this.clearSelection();
+    }
+
+    // Labels offered in the bulk bar: configured labels plus any used on tasks
+    getKnownLabelNames() {
+        const names = new Set();
+        try {
+            JSON.parse(localStorage.getItem('kanban-labels') || '[]').forEach(l => names.add(l.name));
+        } catch (e) {
+            console.warn('Failed to load local labels:', e);
+        }
+        this.tasks.forEach(task => (task.labels || []).forEach(l => names.add(typeof l === 'object' ? l.name : l)));
+        return [...names].filter(Boolean).sort((a, b) => a.localeCompare(b));
+    }
+
+    // Milestones offered in the bulk bar: those already used on tasks
+    getKnownMilestones() {
+        const milestones = new Map();
+        this.tasks.forEach(task => {
+            const name = this.getMilestoneDisplayName(task.milestone);
+            if (name && !milestones.has(name)) milestones.set(name, task.milestone);
+        });
+        return milestones;
+    }
+
+    updateBulkActionBar() {
+        const bar = document.getElementById('bulk-action-bar');
+        if (!bar) return;
+
+        // Drop ids of tasks that no longer exist or are hidden
+        this.selectedTaskIds.forEach(id => {
+            const task = this.tasks.find(t => t.id === id);
+            if (!task || !this.isTaskVisible(task)) this.selectedTaskIds.delete(id);
+        });
+
+        const count = this.selectedTaskIds.size;
+        bar.classList.toggle('active', count > 0);
+        const countEl = document.getElementById('bulk-selection-count');
+        if (countEl) countEl.textContent = `${count} selected`;
+        if (count === 0) return;
+
+        const fillSelect = (id, placeholder, options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = `<option value="">${placeholder}</option>`;
+            options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+        };
+
+        fillSelect('bulk-status', 'Move to…', this.columns.map((status, i) => [status, this.panelConfig.names[i] || status]));
+        const users = window.userManager && window.userManager.users ? window.userManager.users : [];
+        fillSelect('bulk-assignee', 'Assign to…', [['__none__', 'Unassigned'], ...users.map(u => [u.id, u.name || u.email])]);
+        fillSelect('bulk-priority', 'Priority…', [['low', 'Low'], ['medium', 'Medium'], ['high', 'High'], ['urgent', 'Urgent']]);
+        const labelNames = this.getKnownLabelNames();
+        fillSelect('bulk-add-label', 'Add label…', labelNames.map(name => [name, name]));
+        fillSelect('bulk-remove-label', 'Remove label…', labelNames.map(name => [name, name]));
+        fillSelect('bulk-milestone', 'Milestone…', [['__none__', 'No milestone'], ...[...this.getKnownMilestones().keys()].map(name => [name, name])]);
+    }
+
+    setupBulkActionBar() {
+        const onSelect = (id, handler) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.addEventListener('change', () => {
+                if (select.value) handler(select.value);
+                select.value = '';
+            });
+        };
+
+        onSelect('bulk-status', status => this.bulkMove(status));
+        onSelect('bulk-assignee', userId => {
+            const assignee = userId === '__none__' ? '' : userId;
+            this.bulkUpdate({ assignee: assignee }, `Assigned ${this.selectedTaskIds.size} tasks to ${assignee ? this.getUserName(assignee) : 'nobody'}`);
+        });
+        onSelect('bulk-priority', priority => {
+            this.bulkUpdate({ priority: priority }, `Set priority of ${this.selectedTaskIds.size} tasks to ${priority}`);
+        });
+        onSelect('bulk-add-label', name => this.bulkAddLabel(name));
+        onSelect('bulk-remove-label', name => this.bulkRemoveLabel(name));
+        onSelect('bulk-milestone', name => {
+            const milestone = name === '__none__' ? null : { ...this.getKnownMilestones().get(name) };
+            this.bulkUpdate({ milestone: milestone }, `Set milestone of ${this.selectedTaskIds.size} tasks to ${name === '__none__' ? 'none' : name}`);
+        });
+
+        const dueInput = document.getElementById('bulk-due-date');
+        if (dueInput) {
+            dueInput.addEventListener('change', () => {
+                this.bulkUpdate({ dueDate: dueInput.value }, `Set due date of ${this.selectedTaskIds.size} tasks`);
+                dueInput.value = '';
+            });
+        }
+
+        document.getElementById('bulk-archive-btn')?.addEventListener('click', () => this.bulkArchive());
+        document.getElementById('bulk-delete-btn')?.addEventListener('click', () => this.bulkDelete());
+        document.getElementById('bulk-clear-btn')?.addEventListener('click', () => this.clearSelection());
+
+        document.addEventListener('keydown', (e) => {
+            const tag = document.activeElement ? document.activeElement.tagName : '';
+            const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(tag);
+            const modalOpen = !!document.querySelector('.modal-overlay.active');
+
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z' && !typing && !modalOpen) {
+                e.preventDefault();
+                this.undo();
+            } else if (e.key === 'Escape' && !modalOpen) {
+                this.clearSelection();
+            }
+        });
+    }
+
+    // ========== SORTING & CARD FIELDS ==========
+
+    setSortMode(sortMode) {
+        this.sortMode = sortMode || 'manual';
+        localStorage.setItem('kanban-sort-mode', this.sortMode);
+        this.renderBoard();
+    }
+
+    // Order of cards inside a column for the current sort mode
+    sortTasksForDisplay(tasks) {
+        const priorityOrder = { urgent: 0, high: 1, medium: 2, low: 3 };
+        const byRank = (a, b) => (a.rank || 0) - (b.rank || 0);
+
+        switch (this.sortMode) {
+            case 'priority':
+                return [...tasks].sort((a, b) =>
+                    (priorityOrder[a.priority] ?? 2) - (priorityOrder[b.priority] ?? 2) || byRank(a, b));
+            case 'dueDate':
+                // Tasks without a due date go last
+                return [...tasks].sort((a, b) => {
+                    if (!a.dueDate && !b.dueDate) return byRank(a, b);
+                    if (!a.dueDate) return 1;
+                    if (!b.dueDate) return -1;
+                    return a.dueDate.localeCompare(b.dueDate) || byRank(a, b);
+                });
+            case 'created':
+                return [...tasks].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+            case 'title':
+                return [...tasks].sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+            default:
+                return this.sortByRank(tasks);
+        }
+    }
+
+    setCardFields(fields) {
+        this.cardFields = fields;
+        localStorage.setItem('kanban-card-fields', JSON.stringify(fields));
+        this.applyCardFieldClasses();
+    }
+
+    // Hidden card fields are toggled with hide-card-<field> classes on the main container
+    applyCardFieldClasses() {
+        const container = document.querySelector('.main-container');
+        if (!container) return;
+        Object.keys(KanbanBoard.CARD_FIELDS).forEach(field => {
+            container.classList.toggle(`hide-card-${field}`, !this.cardFields.includes(field));
+        });
+    }
+
+    // Current filter, grouping, sort and card fields (what a saved view stores)
+    getViewSettings() {
+        return {
+            filter: this.taskFilter.query,
+            groupBy: this.swimlaneGroupBy,
+            sort: this.sortMode,
+            cardFields: [...this.cardFields]
+        };
+    }
+
+    // Apply saved view settings in one render
+    applyViewSettings(settings) {
+        this.taskFilter.setQuery(settings.filter || '');
+        const input = document.getElementById('board-filter-input');
+        if (input) input.value = this.taskFilter.query;
+
+        this.swimlaneGroupBy = settings.groupBy || '';
+        localStorage.setItem('kanban-swimlane-group', this.swimlaneGroupBy);
+
+        this.sortMode = settings.sort || 'manual';
+        localStorage.setItem('kanban-sort-mode', this.sortMode);
+
+        this.cardFields = settings.cardFields || Object.keys(KanbanBoard.CARD_FIELDS);
+        localStorage.setItem('kanban-card-fields', JSON.stringify(this.cardFields));
+
+        this.updateViewControls();
+        this.renderBoard();
+    }
+
+    // Sync the sort select and card field checkboxes with the current state
+    updateViewControls() {
+        const sortSelect = document.getElementById('board-sort-select');
+        if (sortSelect) sortSelect.value = this.sortMode;
+
+        document.querySelectorAll('#card-fields-menu input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = this.cardFields.includes(checkbox.value);
+        });
+    }
+
+    setupViewControls() {
+        const sortSelect = document.getElementById('board-sort-select');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => this.setSortMode(e.target.value));
+        }
+
+        const fieldsBtn = document.getElementById('card-fields-btn');
+        const fieldsMenu = document.getElementById('card-fields-menu');
+        if (fieldsBtn && fieldsMenu) {
+            fieldsMenu.innerHTML = '';
+            Object.entries(KanbanBoard.CARD_FIELDS).forEach(([field, label]) => {
+                const option = document.createElement('label');
+                option.innerHTML = `<input type="checkbox" value="${field}"> ${label}`;
+                option.querySelector('input').addEventListener('change', () => {
+                    const fields = Array.from(fieldsMenu.querySelectorAll('input:checked')).map(cb => cb.value);
+                    this.setCardFields(fields);
+                });
+                fieldsMenu.appendChild(option);
+            });
+
+            fieldsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                fieldsMenu.classList.toggle('open');
+            });
+            document.addEventListener('click', (e) => {
+                if (!fieldsMenu.contains(e.target)) fieldsMenu.classList.remove('open');
+            });
+        }
+
+        this.updateViewControls();
+    }
+
+    // ========== SWIMLANES ==========
+
+    setSwimlaneGroupBy(groupBy) {
+        this.swimlaneGroupBy = groupBy || '';
+        localStorage.setItem('kanban-swimlane-group', this.swimlaneGroupBy);
+        this.renderBoard();
+    }
+
+    // Toggle between the plain columns and the swimlane grid. Returns true if swimlanes are shown.
+    updateSwimlaneVisibility() {
+        const board = document.querySelector('.kanban-board');
+        const swimlaneBoard = document.getElementById('swimlane-board');
+        const active = !!this.swimlaneGroupBy && !!swimlaneBoard;
+
+        if (board) board.style.display = active ? 'none' : '';
+        if (swimlaneBoard) swimlaneBoard.style.display = active ? '' : 'none';
+
+        const select = document.getElementById('swimlane-select');
+        if (select) select.value = this.swimlaneGroupBy;
+
+        return active;
+    }
+
+    getFirstLabelName(task) {
+        const label = (task.labels || [])[0];
+        if (!label) return '';
+        return typeof label === 'object' ? (label.name || '') : label;
+    }
+
+    // Lane key of a task for the current grouping
+    getSwimlaneKey(task) {
+        switch (this.swimlaneGroupBy) {
+            case 'assignee':
+                return task.assignee ? String(task.assignee) : '';
+            case 'priority':
+                return task.priority || 'medium';
+            case 'milestone':
+                return this.getMilestoneDisplayName(task.milestone);
+            case 'project':
+                return task.project && task.project.id ? String(task.project.id) : '';
+            case 'label':
+                return this.getFirstLabelName(task);
+            default:
+                return '';
+        }
+    }
+
+    // Ordered list of lanes { key, name } for the current grouping
+    getSwimlanes() {
+        const groupBy = this.swimlaneGroupBy;
+
+        if (groupBy === 'priority') {
+            return ['urgent', 'high', 'medium', 'low'].map(p => ({
+                key: p,
+                name: p.charAt(0).toUpperCase() + p.slice(1)
+            }));
+        }
+
+        const lanes = new Map();
+        if (groupBy === 'assignee' && window.userManager && window.userManager.users) {
+            window.userManager.users.forEach(user => {
+                lanes.set(String(user.id), user.name || user.email || 'Unnamed User');
+            });
+        }
+
+        this.tasks.forEach(task => {
+            const key = this.getSwimlaneKey(task);
+            if (task.archived || !key || lanes.has(key)) return;
+            if (groupBy === 'assignee') {
+                lanes.set(key, this.getUserName(key));
+            } else if (groupBy === 'project') {
+                lanes.set(key, task.project.title || key);
+            } else {
+                lanes.set(key, key);
+            }
+        });
+
+        const emptyNames = {
+            assignee: 'Unassigned',
+            milestone: 'No Milestone',
+            project: 'No Project',
+            label: 'No Label'
+        };
+
+        const result = Array.from(lanes, ([key, name]) => ({ key, name }));
+        if (groupBy !== 'assignee') {
+            result.sort((a, b) => a.name.localeCompare(b.name));
+        }
+        result.push({ key: '', name: emptyNames[groupBy] || 'None' });
+        return result;
+    }
+
+    // Field changes needed to move a task into another lane
+    getSwimlaneUpdates(task, laneKey) {
+        if (!this.swimlaneGroupBy || laneKey === undefined || laneKey === this.getSwimlaneKey(task)) {
+            return {};
+        }
+
+        switch (this.swimlaneGroupBy) {
+            case 'assignee':
+                return { assignee: laneKey };
+            case 'priority':
+                return { priority: laneKey };
+            case 'milestone': {
+                if (!laneKey) return { milestone: null };
+                const source = this.tasks.find(t => this.getMilestoneDisplayName(t.milestone) === laneKey);
+                return { milestone: source ? { ...source.milestone } : { name: laneKey } };
+            }
+            case 'project': {
+                if (!laneKey) return { project: null };
+                const source = this.tasks.find(t => t.project && String(t.project.id) === laneKey);
+                return source ? { project: { ...source.project } } : {};
+            }
+            case 'label': {
+                // The lane label becomes the first label; "No Label" clears them
+                if (!laneKey) return { labels: [] };
+                const source = this.tasks.find(t => this.getFirstLabelName(t) === laneKey);
+                const laneLabel = source ? source.labels[0] : laneKey;
+                const otherLabels = (task.labels || []).filter(l => (typeof l === 'object' ? l.name : l) !== laneKey);
+                return { labels: [laneLabel, ...otherLabels] };
+            }
+            default:
+                return {};
+        }
+    }
+
+    // Draw one row of column cells per lane; each cell is its own drop zone
+    renderSwimlanes(container) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        container.style.setProperty('--swimlane-columns', this.columns.length);
+
+        const headerRow = document.createElement('div');
+        headerRow.className = 'swimlane-header-row';
+        headerRow.innerHTML = '<div class="swimlane-corner"></div>';
+        this.columns.forEach((status, index) => {
+            const count = this.getColumnTaskCount(status);
+            const limit = this.getWipLimit(status);
+            const estimateTotal = this.getColumnEstimateTotal(status);
+            const header = document.createElement('div');
+            header.className = 'swimlane-column-header' + (limit && count > limit ? ' wip-exceeded' : '');
+            header.innerHTML = `
+                <h3>${this.escapeHtml(this.panelConfig.names[index] || status)}</h3>
+                ${estimateTotal > 0 ? `<span class="column-estimate">${this.formatEstimateTotal(estimateTotal)}</span>` : ''}
+                <span class="task-count">${this.formatColumnCount(status)}</span>
+            `;
+            headerRow.appendChild(header);
+        });
+        container.appendChild(headerRow);
+
+        this.getSwimlanes().forEach(lane => {
+            const laneTasks = this.tasks.filter(task => this.getSwimlaneKey(task) === lane.key && this.isTaskVisible(task));
+
+            const row = document.createElement('div');
+            row.className = 'swimlane-row';
+
+            const laneHeader = document.createElement('div');
+            laneHeader.className = 'swimlane-lane-header';
+            laneHeader.innerHTML = `
+                <span class="swimlane-lane-name">${this.escapeHtml(lane.name)}</span>
+                <span class="task-count">${laneTasks.length}</span>
+            `;
+            row.appendChild(laneHeader);
+
+            this.columns.forEach(status => {
+                const cell = document.createElement('div');
+                cell.className = 'column-content swimlane-cell';
+                cell.dataset.status = status;
+                cell.dataset.lane = lane.key;
+                this.sortTasksForDisplay(laneTasks.filter(task => task.status === status))
+                    .forEach(task => this.renderTask(task, cell));
+                row.appendChild(cell);
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    // Load panel configuration
+    loadPanelConfig() {
+        let savedConfig = null;
+        try {
+            savedConfig = JSON.parse(localStorage.getItem('kanban-panel-config'));
+        } catch (e) {
+            savedConfig = null;
+        }
+        this.panelConfig = KanbanBoard.normalizePanelConfig(savedConfig);
+        this.columns = this.panelConfig.columns.map(column => column.id);
+    }
+
+    // Panel config with a columns array of {id, name, wipLimit, done}. Configs saved before columns
+    // had ids only store names and WIP limits by position for the four built-in columns (the
+    // panel count never added columns to the page). names, wipLimits and count are kept as
+    // positional copies for code that looks columns up by index.
+    // Exactly one column is marked done; configs without the flag use the "done" column, or
+    // the last column if there is none.
+    static normalizePanelConfig(config) {
+        config = config || {};
+        let columns = Array.isArray(config.columns) && config.columns.length > 0 ? config.columns : null;
+
+        if (!columns) {
+            const names = config.names || [];
+            const wipLimits = config.wipLimits || [];
+            columns = KanbanBoard.DEFAULT_COLUMNS.map((column, i) => ({
+                id: column.id,
+                name: names[i] || column.name,
+                wipLimit: wipLimits[i]
+            }));
+        }
+
+        let doneIndex = columns.findIndex(column => column.done);
+        if (doneIndex < 0) doneIndex = columns.findIndex(column => String(column.id) === 'done');
+        if (doneIndex < 0) doneIndex = columns.length - 1;
+
+        columns = columns.map((column, index) => ({
+            id: String(column.id),
+            name: column.name || String(column.id),
+            wipLimit: Math.max(parseInt(column.wipLimit) || 0, 0),
+            done: index === doneIndex
+        }));
+
+        return {
+            ...config,
+            columns: columns,
+            count: columns.length,
+            names: columns.map(column => column.name),
+            wipLimits: columns.map(column => column.wipLimit),
+            wipMode: config.wipMode || 'soft'
+        };
+    }
+
+    getColumnName(status) {
+        const column = this.panelConfig.columns.find(c => c.id === status);
+        return column ? column.name : status;
+    }
+
+    // Build the column elements from the configuration; skipped while the columns are unchanged
+    // so open inline creators and scroll positions survive normal re-renders
+    renderColumns() {
+        const boardElement = document.querySelector('.kanban-board');
+        if (!boardElement) return;
+
+        const key = JSON.stringify(this.panelConfig.columns.map(column => [column.id, column.name]));
+        if (boardElement.dataset.columnsKey === key) return;
+        boardElement.dataset.columnsKey = key;
+        boardElement.style.setProperty('--board-columns', this.columns.length);
+
+        boardElement.innerHTML = this.panelConfig.columns.map(column => {
+            const id = this.escapeHtml(column.id);
+            return `
+                <div class="kanban-column">
+                    <div class="column-header">
+                        <h3>${this.escapeHtml(column.name)}</h3>
+                        <span class="task-count" id="${id}-count">0</span>
+                    </div>
+                    <div class="column-content" id="${id}-tasks" data-status="${id}"></div>
+                    <button class="add-task-btn" data-status="${id}"><i class="fas fa-plus"></i> Add a card</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Move every task (archived ones included) from one column to another, e.g. when a column is removed
+    moveTasksToColumn(fromStatus, toStatus) {
+        const tasks = this.tasks.filter(task => task.status === fromStatus);
+        tasks.forEach(task => {
+            const updates = { status: toStatus, rank: this.getNextRank(toStatus) };
+            this.recordHistory(task, updates);
+            Object.assign(task, updates, { updatedAt: new Date().toISOString() });
+        });
+        if (tasks.length > 0) {
+            this.saveTasks();
+        }
+        return tasks.length;
+    }
+
+    // Update task counts
+    updateTaskCounts() {
+        this.columns.forEach(status => {
+            const countElement = document.getElementById(`${status}-count`);
+            if (countElement) {
+                const count = this.getColumnTaskCount(status);
+                const limit = this.getWipLimit(status);
+                countElement.textContent = this.formatColumnCount(status);
+                countElement.classList.toggle('at-limit', !!limit && count === limit);
+                countElement.classList.toggle('over-limit', !!limit && count > limit);
+                countElement.classList.toggle('filtered', this.taskFilter.isActive());
+                countElement.title = (this.taskFilter.isActive() ? `${count} tasks in total. ` : '') +
+                    (limit ? `WIP limit: ${limit}` : '');
+
+                const column = countElement.closest('.kanban-column');
+                if (column) {
+                    column.classList.toggle('wip-exceeded', !!limit && count > limit);
+                }
+
+                // Estimate total next to the count
+                let estimateElement = document.getElementById(`${status}-estimate`);
+                if (!estimateElement) {
+                    estimateElement = document.createElement('span');
+                    estimateElement.id = `${status}-estimate`;
+                    estimateElement.className = 'column-estimate';
+                    countElement.parentNode.insertBefore(estimateElement, countElement);
+                }
+                const total = this.getColumnEstimateTotal(status);
+                estimateElement.textContent = total > 0 ? this.formatEstimateTotal(total) : '';
+                estimateElement.title = total > 0 ? `Total estimate of ${this.taskFilter.isActive() ? 'matching' : 'all'} tasks in this column` : '';
             }
-        } catch (e) {
-            console.warn('Failed to migrate task data:', e);
+        });
+
+        this.updateFilterSummary();
+    }
+
+    // ========== ESTIMATES ==========
+
+    getEstimateScale() {
+        const scale = window.settingsManager ? window.settingsManager.estimateScale : 'fibonacci';
+        return KanbanBoard.ESTIMATE_SCALES[scale] ? scale : 'fibonacci';
+    }
+
+    hasEstimate(task) {
+        return task.estimate !== null && task.estimate !== undefined && task.estimate !== '';
+    }
+
+    // Numeric value of an estimate for totals (T-shirt sizes count as their point equivalent)
+    getEstimateValue(estimate) {
+        if (estimate === null || estimate === undefined || estimate === '') return 0;
+        const sizes = KanbanBoard.ESTIMATE_SCALES.tshirt.points;
+        if (typeof estimate === 'string' && sizes[estimate.toUpperCase()] !== undefined) {
+            return sizes[estimate.toUpperCase()];
         }
+        const value = parseFloat(estimate);
+        return isNaN(value) ? 0 : value;
     }
 
-    // Safely get milestone display name
-    getMilestoneDisplayName(milestone) {
-        if (!milestone) return '';
-        if (typeof milestone === 'string') {
-            // If it's "[object Object]", return empty string
-            if (milestone === '[object Object]') return '';
-            return milestone;
+    formatEstimate(estimate) {
+        if (typeof estimate === 'string' && isNaN(parseFloat(estimate))) return estimate.toUpperCase();
+        const unit = KanbanBoard.ESTIMATE_SCALES[this.getEstimateScale()].unit;
+        return `${this.getEstimateValue(estimate)}${unit === 'h' ? 'h' : ' pts'}`;
+    }
+
+    formatEstimateTotal(total) {
+        const unit = KanbanBoard.ESTIMATE_SCALES[this.getEstimateScale()].unit;
+        const rounded = Math.round(total * 10) / 10;
+        return unit === 'h' ? `${rounded}h` : `${rounded} pts`;
+    }
+
+    // Sum of estimates in a column (matching tasks while filtering)
+    getColumnEstimateTotal(status) {
+        return this.tasks
+            .filter(task => task.status === status && this.isTaskVisible(task))
+            .reduce((total, task) => total + this.getEstimateValue(task.estimate), 0);
+    }
+
+    // Show the select (points, sizes) or the number input (hours) for the configured scale
+    setEstimateField(estimate) {
+        const select = document.getElementById('task-estimate');
+        const hoursInput = document.getElementById('task-estimate-hours');
+        if (!select || !hoursInput) return;
+
+        const scaleKey = this.getEstimateScale();
+        const scale = KanbanBoard.ESTIMATE_SCALES[scaleKey];
+        const hasValue = estimate !== null && estimate !== undefined && estimate !== '';
+
+        if (scaleKey === 'hours') {
+            select.style.display = 'none';
+            hoursInput.style.display = '';
+            hoursInput.value = hasValue ? this.getEstimateValue(estimate) : '';
+            return;
         }
-        if (typeof milestone === 'object') {
-            return milestone.name || milestone.title || '';
+
+        select.style.display = '';
+        hoursInput.style.display = 'none';
+        select.innerHTML = '<option value="">No estimate</option>';
+        const values = [...scale.values];
+        // Keep an estimate made with another scale selectable
+        if (hasValue && !values.map(String).includes(String(estimate))) {
+            values.push(estimate);
         }
-        return String(milestone);
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = this.formatEstimate(value);
+            select.appendChild(option);
+        });
+        select.value = hasValue ? String(estimate) : '';
     }
 
-    // Task Management
-    createTask(data) {
-        const task = {
-            id: this.nextTaskId++,
-            title: data.title,
-            description: data.description || '',
-            emoji: data.emoji || '',
-            assignee: data.assignee || '',
-            userId: data.userId || null,
-            priority: data.priority || 'medium',
-            status: data.status || 'backlog',
-            dueDate: data.dueDate || '',
-            milestone: data.milestone || null, // { name: string, number: number } or null
-            project: data.project || null,   // { id: string, title: string } or null
-            parentIssueId: data.parentIssueId || null,
-            labels: data.labels || [], // Array of label names
-            backgroundColor: data.backgroundColor || '#2d2d2d',
-            attachments: data.attachments || [], // Array of {type, url, name}
-            comments: data.comments || [], // Array of {id, userId, text, createdAt}
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-
-        this.tasks.push(task);
-        this.saveTasks();
-        return task;
+    getEstimateFromFields() {
+        if (this.getEstimateScale() === 'hours') {
+            const hours = parseFloat(document.getElementById('task-estimate-hours').value);
+            return isNaN(hours) || hours <= 0 ? null : hours;
+        }
+        const value = document.getElementById('task-estimate').value;
+        if (!value) return null;
+        return isNaN(parseFloat(value)) ? value : parseFloat(value);
     }
 
-    updateTask(id, updates) {
-        const task = this.tasks.find(t => t.id === id);
-        if (task) {
-            Object.assign(task, updates, { updatedAt: new Date().toISOString() });
-            this.saveTasks();
-            this.renderBoard();
+    // Column count text: matching tasks while filtering, otherwise count/limit
+    formatColumnCount(status) {
+        if (this.taskFilter.isActive()) {
+            return this.tasks.filter(task => task.status === status && this.isTaskVisible(task)).length;
         }
+        const count = this.getColumnTaskCount(status);
+        const limit = this.getWipLimit(status);
+        return limit ? `${count}/${limit}` : count;
     }
 
-    deleteTask(id) {
-        this.tasks = this.tasks.filter(t => t.id !== id);
-        this.saveTasks();
+    // ========== FILTER BAR ==========
+
+    isTaskVisible(task) {
+        return !task.archived && this.taskFilter.matches(task);
+    }
+
+    getVisibleTasks() {
+        return this.tasks.filter(task => this.isTaskVisible(task));
+    }
+
+    setFilterQuery(query) {
+        this.taskFilter.setQuery(query);
+        const input = document.getElementById('board-filter-input');
+        if (input && input.value !== query) input.value = query;
         this.renderBoard();
     }
 
-    moveTask(taskId, newStatus) {
-        this.updateTask(taskId, { status: newStatus });
+    updateFilterSummary() {
+        const summary = document.getElementById('board-filter-summary');
+        const clearBtn = document.getElementById('board-filter-clear');
+        const active = this.taskFilter.isActive();
+
+        if (summary) {
+            summary.textContent = active ? `${this.getVisibleTasks().length} of ${this.tasks.length} tasks` : '';
+        }
+        if (clearBtn) {
+            clearBtn.style.display = active ? '' : 'none';
+        }
     }
 
-    // Rendering
-    renderBoard() {
-        // Load panel configuration
-        this.loadPanelConfig();
+    setupFilterBar() {
+        const input = document.getElementById('board-filter-input');
+        const clearBtn = document.getElementById('board-filter-clear');
+        if (!input) return;
 
-        // Render columns based on configuration
-        this.columns.forEach((status, index) => {
-            const column = document.getElementById(`${status}-tasks`);
-            if (column) {
-                column.innerHTML = '';
-                const columnTasks = this.tasks.filter(task => task.status === status);
-                columnTasks.forEach(task => this.renderTask(task, column));
+        let debounceTimer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => this.setFilterQuery(input.value), 200);
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.setFilterQuery('');
+                input.blur();
             }
         });
 
-        // Update column headers with names
-        this.columns.forEach((status, index) => {
-            const columnElement = document.getElementById(`${status}-tasks`);
-            if (columnElement && columnElement.closest && columnElement.closest('.kanban-column')) {
-                const header = columnElement.closest('.kanban-column').querySelector('.column-header h3');
-                if (header && this.panelConfig.names[index]) {
-                    header.textContent = this.panelConfig.names[index];
-                }
-            }
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.setFilterQuery(''));
+        }
+
+        // "/" focuses the filter bar when not typing elsewhere
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== '/' || e.ctrlKey || e.metaKey) return;
+            const tag = document.activeElement ? document.activeElement.tagName : '';
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) || document.activeElement?.isContentEditable) return;
+            e.preventDefault();
+            input.focus();
         });
+    }
 
-        this.updateTaskCounts();
+    // ========== WIP LIMITS ==========
+
+    getColumnTaskCount(status) {
+        return this.tasks.filter(task => task.status === status && !task.archived).length;
     }
 
-    // Load panel configuration
-    loadPanelConfig() {
-        const savedConfig = localStorage.getItem('kanban-panel-config');
-        if (savedConfig) {
-            this.panelConfig = JSON.parse(savedConfig);
-        }
+    // WIP limit for a column, or 0 when it has none
+    getWipLimit(status) {
+        const index = this.columns.indexOf(status);
+        const limits = this.panelConfig.wipLimits || [];
+        return index >= 0 ? (parseInt(limits[index]) || 0) : 0;
     }
 
-    // Update task counts
-    updateTaskCounts() {
-        this.columns.forEach(status => {
-            const countElement = document.getElementById(`${status}-count`);
-            if (countElement) {
-                const count = this.tasks.filter(task => task.status === status).length;
-                countElement.textContent = count;
-            }
-        });
+    getWipMode() {
+        return this.panelConfig.wipMode || 'soft';
+    }
+
+    // True if moving one more task into the column would go over its limit
+    wouldExceedWipLimit(status) {
+        const limit = this.getWipLimit(status);
+        return !!limit && this.getColumnTaskCount(status) + 1 > limit;
+    }
+
+    // Due date color based on urgency: 'past-due', 'due-soon' (within a week), 'due-later' or ''
+    getDueDateClass(task) {
+        if (!task.dueDate) return '';
+
+        const due = new Date(task.dueDate);
+        const now = new Date();
+        const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+        if (due < now) return 'past-due';
+        if (due <= oneWeekFromNow) return 'due-soon';
+        return 'due-later';
     }
 
     renderTask(task, container) {
@@ -268,21 +1953,7 @@ class KanbanBoard {
         const dueDate = task.dueDate ? this.formatTaskDate(task.dueDate) : '';
         const createdDate = this.formatTaskDate(task.createdAt);
 
-        // Determine due date color based on urgency
-        let dueDateClass = '';
-        if (task.dueDate) {
-            const due = new Date(task.dueDate);
-            const now = new Date();
-            const oneWeekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-
-            if (due < now) {
-                dueDateClass = 'past-due';
-            } else if (due <= oneWeekFromNow) {
-                dueDateClass = 'due-soon';
-            } else {
-                dueDateClass = 'due-later';
-            }
-        }
+        const dueDateClass = this.getDueDateClass(task);
 
         // Determine milestone class for styling
         let milestoneClass = 'task-milestone-badge';
@@ -339,32 +2010,73 @@ class KanbanBoard {
             attachmentsHTML += '</div>';
         }
 
+        // Subtask/checklist progress bar
+        let progressHTML = '';
+        const progress = this.getTaskProgress(task);
+        if (progress.total > 0) {
+            const percent = Math.round((progress.done / progress.total) * 100);
+            progressHTML = `
+                <div class="task-progress${progress.done === progress.total ? ' complete' : ''}" title="${progress.done} of ${progress.total} done">
+                    <div class="task-progress-bar"><div class="task-progress-fill" style="width: ${percent}%"></div></div>
+                    <span class="task-progress-text">${progress.done}/${progress.total} done</span>
+                </div>
+            `;
+        }
+
+        // Blocked badge when a prerequisite is still open
+        let blockedHTML = '';
+        const openBlockers = this.getOpenBlockers(task);
+        if (openBlockers.length > 0) {
+            const blockerTitles = openBlockers.map(t => `#${t.id} ${t.title}`).join(', ');
+            blockedHTML = `<div class="task-blocked-badge" title="Blocked by: ${this.escapeHtml(blockerTitles)}">⛔ Blocked by ${openBlockers.length}</div>`;
+        }
+
+        // Link back to the parent when this is a subtask
+        const parentTask = task.parentIssueId ? this.tasks.find(t => t.id === task.parentIssueId) : null;
+
+        // Logged time, ticking while the current user's timer runs on this task
+        const runningEntry = this.getRunningTimeEntry(task);
+        const loggedSeconds = this.getLoggedTime(task);
+        const timeHTML = loggedSeconds > 0 || runningEntry
+            ? `<div class="task-time${runningEntry ? ' running' : ''}" data-task-id="${task.id}" title="Logged time">⏱ ${this.formatDuration(loggedSeconds)}</div>`
+            : '';
+
         taskElement.innerHTML = `
             <div class="task-card-header">
+                ${parentTask ? `<div class="task-parent" data-parent-id="${parentTask.id}">↳ ${this.escapeHtml(parentTask.title)}</div>` : ''}
                 <div class="task-title-row">
                     ${task.emoji ? `<span class="task-emoji">${this.escapeHtml(task.emoji)}</span>` : ''}
                     <div class="task-title">${this.escapeHtml(task.title)}</div>
                 </div>
             </div>
             <div class="task-card-body">
-                <div class="task-description">${this.escapeHtml(task.description)}</div>
+                <div class="task-description markdown-body">${this.markdown.render(task.description)}</div>
+                ${blockedHTML}
+                ${progressHTML}
+                ${this.customFields.renderCardFields(task)}
                 ${attachmentsHTML}
                 <div class="task-meta">
                     <div class="task-assignee" ${assigneeEmail ? 'style="cursor: pointer;" data-email="' + assigneeEmail + '"' : ''}>${assigneeName}</div>
+                    ${this.hasEstimate(task) ? `<div class="task-estimate" title="Estimate">${this.escapeHtml(this.formatEstimate(task.estimate))}</div>` : ''}
                     <div class="task-priority ${task.priority}">${task.priority}</div>
                 </div>
             </div>
             <div class="task-card-footer">
                 ${dueDate ? `<div class="task-due-date ${dueDateClass}">Due: ${dueDate}</div>` : ''}
+                ${task.recurrence ? `<div class="task-recurrence" title="Repeats">🔁 ${this.escapeHtml(this.describeRecurrence(task.recurrence))}</div>` : ''}
                 ${milestoneName ? `<div class="${milestoneClass}">${this.escapeHtml(milestoneName)}</div>` : ''}
                 ${labelsHTML}
+                ${timeHTML}
                 <div class="task-created-date">Created: ${createdDate}</div>
                 <div class="task-actions">
+                    <button class="task-action-btn timer${runningEntry ? ' running' : ''}" data-action="timer" title="${runningEntry ? 'Stop Timer' : 'Start Timer'}">
+                        ${this.getIcon(runningEntry ? 'stop' : 'timer')}
+                    </button>
                     <button class="task-action-btn edit" data-action="edit" title="Edit Task">
                         ${this.getIcon('pencil')}
                     </button>
-                    <button class="task-action-btn delete" data-action="delete" title="Delete Task">
-                        ${this.getIcon('trash')}
+                    <button class="task-action-btn archive" data-action="archive" title="Archive Task">
+                        ${this.getIcon('archive')}
                     </button>
                 </div>
             </div>
@@ -378,6 +2090,15 @@ class KanbanBoard {
             });
         }
 
+        // Open the parent task from the subtask link
+        const parentEl = taskElement.querySelector('.task-parent');
+        if (parentEl) {
+            parentEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openTaskModal(parentTask);
+            });
+        }
+
         // Add event listeners for actions
         taskElement.querySelectorAll('.task-action-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -385,12 +2106,25 @@ class KanbanBoard {
                 const action = btn.dataset.action;
                 if (action === 'edit') {
                     this.openTaskModal(task);
-                } else if (action === 'delete') {
-                    this.deleteTaskWithConfirmation(task.id);
+                } else if (action === 'archive') {
+                    this.runBulkOperation(`Archived "${task.title}"`, () => this.archiveTask(task.id));
+                } else if (action === 'timer') {
+                    this.toggleTimer(task.id);
                 }
             });
         });
 
+        // Ctrl/Cmd/Shift-click selects cards for bulk operations
+        if (this.selectedTaskIds.has(task.id)) {
+            taskElement.classList.add('selected');
+        }
+        taskElement.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) {
+                e.preventDefault();
+                this.handleCardSelectionClick(e, task, taskElement);
+            }
+        });
+
         // Add double-click to edit
         taskElement.addEventListener('dblclick', () => this.openTaskModal(task));
 
@@ -702,14 +2436,15 @@ class KanbanBoard {
         return div.innerHTML;
     }
 
-    // Delete task with confirmation
+    // Permanently delete a task after confirmation (cards are archived; this is the archive's
+    // "Delete forever"). Returns true if the task was deleted.
     deleteTaskWithConfirmation(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
-        if (task) {
-            if (confirm(`Are you sure you want to delete "${task.title}"?`)) {
-                this.deleteTask(taskId);
-            }
+        if (task && confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) {
+            this.deleteTask(taskId);
+            return true;
         }
+        return false;
     }
 
     // Modal Management
@@ -726,22 +2461,40 @@ class KanbanBoard {
             document.getElementById('task-description').value = task.description;
             document.getElementById('task-assignee').value = task.assignee;
             document.getElementById('task-priority').value = task.priority;
+            this.setEstimateField(task.estimate);
             document.getElementById('task-due-date').value = task.dueDate;
+            document.getElementById('task-start-date').value = task.startDate || '';
             document.getElementById('task-bg-color').value = task.backgroundColor || '#2d2d2d';
+            this.setRecurrenceFields(task.recurrence);
             this.renderAttachmentsList(task.attachments || []);
-            this.renderCommentsList(task.comments || []);
             form.dataset.taskId = task.id;
             this.currentTaskId = task.id;
+            this.renderCommentsList(task.comments || []);
+            this.renderActivityList(task);
+            this.currentChecklist = (task.checklist || []).map(item => ({ ...item }));
+            this.populateTemplateSelect(null);
         } else {
             title.textContent = 'Add Task';
             form.reset();
             document.getElementById('task-bg-color').value = '#2d2d2d';
+            this.setRecurrenceFields(null);
+            this.setEstimateField(null);
             this.renderAttachmentsList([]);
             this.renderCommentsList([]);
+            this.renderActivityList(null);
             delete form.dataset.taskId;
             this.currentTaskId = null;
+            this.currentChecklist = [];
+            this.populateTemplateSelect(null);
         }
 
+        this.renderRecurrenceSeries(task);
+        this.renderSubtasksList();
+        this.renderDependencyLists();
+        this.renderChecklist();
+        this.renderTimeEntries();
+        this.customFields.renderInputs(task);
+
         this.populateAssigneeDropdown();
         await this.populateMilestoneDropdown();
 
@@ -785,11 +2538,358 @@ class KanbanBoard {
 
         this.setupAttachmentListeners();
         this.setupCommentListeners();
+        this.setupTaskDetailTabs();
+        this.setupRecurrenceListeners();
+        this.setupSubtaskListeners();
+        this.setupDependencyListeners();
+        this.setupChecklistListeners();
+        this.setupTimeTrackingListeners();
         this.setupColorPickerListeners();
         this.setupEmojiPickerListeners();
+        this.setupTemplateSelectListener(!task);
+        this.setupDescriptionTabs();
         modal.classList.add('active');
     }
 
+    // Write/Preview toggle for the markdown description
+    setupDescriptionTabs(mode = 'write') {
+        const textarea = document.getElementById('task-description');
+        const preview = document.getElementById('task-description-preview');
+        const tabs = document.querySelectorAll('.description-tab');
+        if (!textarea || !preview) return;
+
+        const showMode = (selected) => {
+            tabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === selected));
+            if (selected === 'preview') {
+                preview.innerHTML = this.markdown.render(textarea.value) ||
+                    '<p class="description-preview-empty">Nothing to preview</p>';
+            }
+            textarea.style.display = selected === 'write' ? '' : 'none';
+            preview.style.display = selected === 'preview' ? '' : 'none';
+        };
+
+        tabs.forEach(tab => {
+            tab.onclick = () => showMode(tab.dataset.mode);
+        });
+        showMode(mode);
+    }
+
+    // ========== TIME TRACKING ==========
+
+    // Seconds in an entry; a running entry counts up to now
+    getEntryDuration(entry) {
+        if (!entry.endedAt) {
+            return Math.max(0, Math.round((Date.now() - new Date(entry.startedAt).getTime()) / 1000));
+        }
+        return entry.duration || 0;
+    }
+
+    // Total seconds logged on a task, optionally for one user
+    getLoggedTime(task, userId = null) {
+        return (task.timeEntries || [])
+            .filter(entry => !userId || String(entry.userId) === String(userId))
+            .reduce((total, entry) => total + this.getEntryDuration(entry), 0);
+    }
+
+    // The current user's running entry on a task, if any
+    getRunningTimeEntry(task) {
+        const userId = window.userManager ? window.userManager.currentUserId || null : null;
+        return (task.timeEntries || []).find(entry => !entry.endedAt && String(entry.userId) === String(userId)) || null;
+    }
+
+    // "2h 05m", "45m" or "<1m"
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 1) return seconds > 0 ? '<1m' : '0m';
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return hours > 0 ? `${hours}h ${String(rest).padStart(2, '0')}m` : `${rest}m`;
+    }
+
+    // Parse "1h 30m", "90m", "1.5h", "1:30" or a plain number of hours into seconds
+    parseDuration(text) {
+        const value = (text || '').trim().toLowerCase();
+        if (!value) return 0;
+
+        const clock = value.match(/^(\d+):(\d{1,2})$/);
+        if (clock) return (parseInt(clock[1]) * 60 + parseInt(clock[2])) * 60;
+
+        if (/^\d+(\.\d+)?$/.test(value)) return Math.round(parseFloat(value) * 3600);
+
+        const hours = value.match(/(\d+(?:\.\d+)?)\s*h/);
+        const minutes = value.match(/(\d+)\s*m/);
+        if (!hours && !minutes) return 0;
+        return Math.round((hours ? parseFloat(hours[1]) * 3600 : 0) + (minutes ? parseInt(minutes[1]) * 60 : 0));
+    }
+
+    // Start the current user's timer on a task, stopping any timer they have running elsewhere
+    startTimer(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const userId = window.userManager ? window.userManager.currentUserId || null : null;
+        if (!task) return;
+
+        this.tasks.forEach(other => {
+            if (other.id !== taskId && this.getRunningTimeEntry(other)) {
+                this.stopTimer(other.id, false);
+            }
+        });
+
+        const timeEntries = [...(task.timeEntries || []), {
+            id: Date.now(),
+            userId: userId,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            duration: 0,
+            note: ''
+        }];
+        this.updateTask(taskId, { timeEntries });
+        this.showNotification(`Timer started on "${task.title}"`, 'info');
+    }
+
+    stopTimer(taskId, notify = true) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const running = task ? this.getRunningTimeEntry(task) : null;
+        if (!running) return;
+
+        const endedAt = new Date();
+        const timeEntries = task.timeEntries.map(entry => entry.id === running.id
+            ? { ...entry, endedAt: endedAt.toISOString(), duration: this.getEntryDuration(entry) }
+            : entry);
+        this.updateTask(taskId, { timeEntries });
+        if (notify) {
+            this.showNotification(`Logged ${this.formatDuration(this.getEntryDuration(running))} on "${task.title}"`, 'success');
+        }
+    }
+
+    toggleTimer(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        if (this.getRunningTimeEntry(task)) {
+            this.stopTimer(taskId);
+        } else {
+            this.startTimer(taskId);
+        }
+        if (this.currentTaskId === taskId) {
+            this.renderTimeEntries();
+        }
+    }
+
+    // Manual entry for time worked on a given day (YYYY-MM-DD)
+    addTimeEntry(taskId, date, seconds, note = '') {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || seconds <= 0) return;
+
+        const startedAt = date ? this.parseDateOnly(date) : new Date();
+        const timeEntries = [...(task.timeEntries || []), {
+            id: Date.now(),
+            userId: window.userManager ? window.userManager.currentUserId || null : null,
+            startedAt: startedAt.toISOString(),
+            endedAt: new Date(startedAt.getTime() + seconds * 1000).toISOString(),
+            duration: seconds,
+            note: note
+        }];
+        this.updateTask(taskId, { timeEntries });
+    }
+
+    deleteTimeEntry(taskId, entryId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        this.updateTask(taskId, { timeEntries: (task.timeEntries || []).filter(entry => entry.id !== entryId) });
+    }
+
+    // Time entries of the task open in the modal
+    renderTimeEntries() {
+        const container = document.getElementById('time-entries-list');
+        const totalEl = document.getElementById('time-total');
+        const timerBtn = document.getElementById('time-timer-btn');
+        const section = document.getElementById('time-tracking-controls');
+        if (!container) return;
+
+        const task = this.tasks.find(t => t.id === this.currentTaskId);
+        if (section) section.style.display = task ? '' : 'none';
+        container.innerHTML = '';
+
+        if (!task) {
+            container.innerHTML = '<p class="no-comments">Save the task to start tracking time.</p>';
+            if (totalEl) totalEl.textContent = '';
+            return;
+        }
+
+        const running = this.getRunningTimeEntry(task);
+        if (totalEl) totalEl.textContent = `Total: ${this.formatDuration(this.getLoggedTime(task))}`;
+        if (timerBtn) {
+            timerBtn.innerHTML = running ? `${this.getIcon('stop')} Stop timer` : `${this.getIcon('timer')} Start timer`;
+            timerBtn.classList.toggle('running', !!running);
+        }
+
+        const entries = [...(task.timeEntries || [])].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="no-comments">No time logged yet.</p>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'time-entry' + (entry.endedAt ? '' : ' running');
+            row.innerHTML = `
+                <span class="time-entry-date">${this.formatTaskDate(entry.startedAt)}</span>
+                <span class="time-entry-user">${this.escapeHtml(entry.userId ? this.getUserName(entry.userId) : 'Unknown')}</span>
+                <span class="time-entry-note">${entry.endedAt ? this.escapeHtml(entry.note || '') : 'Running…'}</span>
+                <span class="time-entry-duration">${this.formatDuration(this.getEntryDuration(entry))}</span>
+                <button type="button" class="btn btn-sm time-entry-delete" title="Delete entry">&times;</button>
+            `;
+            row.querySelector('.time-entry-delete').addEventListener('click', () => {
+                if (!confirm('Delete this time entry?')) return;
+                this.deleteTimeEntry(task.id, entry.id);
+                this.renderTimeEntries();
+            });
+            container.appendChild(row);
+        });
+    }
+
+    setupTimeTrackingListeners() {
+        const timerBtn = document.getElementById('time-timer-btn');
+        const addBtn = document.getElementById('add-time-entry-btn');
+        const dateInput = document.getElementById('time-entry-date');
+        const durationInput = document.getElementById('time-entry-duration');
+        const noteInput = document.getElementById('time-entry-note');
+
+        if (dateInput) dateInput.value = this.formatDateOnly(new Date());
+        if (durationInput) durationInput.value = '';
+        if (noteInput) noteInput.value = '';
+
+        if (timerBtn) {
+            timerBtn.onclick = () => {
+                if (this.currentTaskId) this.toggleTimer(this.currentTaskId);
+            };
+        }
+
+        if (addBtn) {
+            addBtn.onclick = () => {
+                if (!this.currentTaskId) return;
+                const seconds = this.parseDuration(durationInput.value);
+                if (seconds <= 0) {
+                    this.showNotification('Enter a duration such as 1h 30m, 45m or 1.5', 'error');
+                    durationInput.focus();
+                    return;
+                }
+                this.addTimeEntry(this.currentTaskId, dateInput.value, seconds, noteInput.value.trim());
+                durationInput.value = '';
+                noteInput.value = '';
+                this.renderTimeEntries();
+            };
+        }
+    }
+
+    // Refresh running timers without a full render
+    updateRunningTimerDisplays() {
+        document.querySelectorAll('.task-time.running').forEach(el => {
+            const task = this.tasks.find(t => t.id === parseInt(el.dataset.taskId));
+            if (task) el.textContent = `⏱ ${this.formatDuration(this.getLoggedTime(task))}`;
+        });
+
+        const modal = document.getElementById('task-modal');
+        const task = this.tasks.find(t => t.id === this.currentTaskId);
+        if (modal && modal.classList.contains('active') && task && this.getRunningTimeEntry(task)) {
+            this.renderTimeEntries();
+        }
+    }
+
+    // ========== TASK TEMPLATES ==========
+
+    // Templates are managed in Settings → Templates
+    getTaskTemplates() {
+        return window.settingsManager ? window.settingsManager.loadTemplates() : [];
+    }
+
+    getTaskTemplate(id) {
+        return this.getTaskTemplates().find(t => t.id === id) || null;
+    }
+
+    // Fill a title pattern: {title} is the typed title, {date} today's date, {user} the current user
+    expandTitlePattern(pattern, title = '') {
+        if (!pattern) return title;
+        const currentUserId = window.userManager ? window.userManager.currentUserId : null;
+        const expanded = pattern
+            .replace(/\{title\}/g, title)
+            .replace(/\{date\}/g, this.formatTaskDate(new Date()))
+            .replace(/\{user\}/g, currentUserId ? this.getUserName(currentUserId) : '')
+            .trim();
+        // A pattern without {title} still keeps what the user typed
+        return !pattern.includes('{title}') && title ? `${expanded} ${title}` : expanded;
+    }
+
+    // Default assignee for a role: the current user if they have it, otherwise the first user who does
+    getAssigneeForRole(role) {
+        if (!role || !window.userManager) return '';
+        const users = window.userManager.users || [];
+        const hasRole = user => (user.role || '').toLowerCase() === role.toLowerCase();
+        const current = users.find(u => u.id === window.userManager.currentUserId);
+        const user = current && hasRole(current) ? current : users.find(hasRole);
+        return user ? user.id : '';
+    }
+
+    // Task fields created from a template
+    getTemplateTaskData(template, title = '') {
+        const now = Date.now();
+        return {
+            title: this.expandTitlePattern(template.titlePattern, title),
+            description: template.description || '',
+            labels: [...(template.labels || [])],
+            priority: template.priority || 'medium',
+            assignee: this.getAssigneeForRole(template.assigneeRole),
+            checklist: (template.checklist || []).map((text, index) => ({ id: now + index, text: text, done: false }))
+        };
+    }
+
+    populateTemplateSelect(selectedId) {
+        const select = document.getElementById('task-template');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Blank task</option>';
+        this.getTaskTemplates().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            select.appendChild(option);
+        });
+        select.value = selectedId || '';
+    }
+
+    // The template picker is only offered when adding a task
+    setupTemplateSelectListener(isNewTask) {
+        const group = document.getElementById('task-template-group');
+        const select = document.getElementById('task-template');
+        if (group) {
+            group.style.display = isNewTask && this.getTaskTemplates().length > 0 ? '' : 'none';
+        }
+        if (!select) return;
+
+        select.onchange = () => {
+            const template = this.getTaskTemplate(select.value);
+            if (template) {
+                this.applyTemplateToModal(template);
+            }
+        };
+    }
+
+    // Fill the task modal from a template, keeping anything already typed in the title
+    applyTemplateToModal(template) {
+        const titleInput = document.getElementById('task-title');
+        const data = this.getTemplateTaskData(template, titleInput.value.trim());
+
+        titleInput.value = data.title;
+        document.getElementById('task-description').value = data.description;
+        document.getElementById('task-priority').value = data.priority;
+        if (data.assignee) {
+            document.getElementById('task-assignee').value = data.assignee;
+        }
+        this.setSelectedLabels(data.labels);
+        this.currentChecklist = data.checklist;
+        this.renderChecklist();
+        titleInput.focus();
+    }
+
     // Setup emoji picker listeners
     setupEmojiPickerListeners() {
         const emojiInput = document.getElementById('task-emoji');
@@ -986,6 +3086,398 @@ class KanbanBoard {
         this.renderAttachmentsList(attachments);
     }
 
+    // Fill the repeat fields from a recurrence rule
+    setRecurrenceFields(recurrence) {
+        const typeSelect = document.getElementById('task-recurrence');
+        const intervalInput = document.getElementById('task-recurrence-interval');
+        if (!typeSelect) return;
+
+        typeSelect.value = recurrence ? recurrence.type : '';
+        if (intervalInput) {
+            intervalInput.value = recurrence && recurrence.interval ? recurrence.interval : 7;
+        }
+        const weekdays = recurrence && recurrence.weekdays ? recurrence.weekdays : [];
+        document.querySelectorAll('.recurrence-weekday').forEach(checkbox => {
+            checkbox.checked = weekdays.includes(parseInt(checkbox.value));
+        });
+        this.updateRecurrenceFieldVisibility();
+    }
+
+    // Build a recurrence rule from the repeat fields (null when not repeating)
+    getRecurrenceFromFields() {
+        const typeSelect = document.getElementById('task-recurrence');
+        if (!typeSelect || !typeSelect.value) return null;
+
+        const recurrence = { type: typeSelect.value };
+        if (recurrence.type === 'interval') {
+            recurrence.interval = Math.max(parseInt(document.getElementById('task-recurrence-interval').value) || 1, 1);
+        }
+        if (recurrence.type === 'weekly') {
+            recurrence.weekdays = Array.from(document.querySelectorAll('.recurrence-weekday:checked'))
+                .map(checkbox => parseInt(checkbox.value));
+            if (recurrence.weekdays.length === 0) {
+                // Default to the weekday of the due date (or today)
+                const dueDate = document.getElementById('task-due-date').value;
+                recurrence.weekdays = [(dueDate ? this.parseDateOnly(dueDate) : new Date()).getDay()];
+            }
+        }
+        return recurrence;
+    }
+
+    updateRecurrenceFieldVisibility() {
+        const type = document.getElementById('task-recurrence')?.value;
+        const intervalGroup = document.getElementById('recurrence-interval-group');
+        const weekdaysGroup = document.getElementById('recurrence-weekdays-group');
+        if (intervalGroup) intervalGroup.style.display = type === 'interval' ? 'flex' : 'none';
+        if (weekdaysGroup) weekdaysGroup.style.display = type === 'weekly' ? 'flex' : 'none';
+    }
+
+    setupRecurrenceListeners() {
+        const typeSelect = document.getElementById('task-recurrence');
+        if (typeSelect) {
+            typeSelect.onchange = () => this.updateRecurrenceFieldVisibility();
+        }
+    }
+
+    // Show links to the other occurrences of a recurring task
+    renderRecurrenceSeries(task) {
+        const container = document.getElementById('recurrence-series');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!task) return;
+
+        const series = this.getSeriesTasks(task);
+        if (series.length <= 1) return;
+
+        container.innerHTML = '<span class="recurrence-series-title">Occurrences:</span>';
+        series.forEach(occurrence => {
+            const link = document.createElement('span');
+            link.className = 'recurrence-series-item' + (occurrence.id === task.id ? ' current' : '') +
+                (this.isTaskDone(occurrence) ? ' done' : '');
+            link.textContent = occurrence.dueDate ? this.formatTaskDate(occurrence.dueDate) : `#${occurrence.id}`;
+            link.title = `#${occurrence.id} ${occurrence.title}`;
+            if (occurrence.id !== task.id) {
+                link.addEventListener('click', () => this.openTaskModal(occurrence));
+            }
+            container.appendChild(link);
+        });
+    }
+
+    // Render subtasks list in modal
+    renderSubtasksList() {
+        const container = document.getElementById('subtasks-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (!this.currentTaskId) {
+            container.innerHTML = '<p class="no-subtasks">Save the task first to add subtasks.</p>';
+            return;
+        }
+
+        const subtasks = this.getSubtasks(this.currentTaskId);
+        if (subtasks.length === 0) {
+            container.innerHTML = '<p class="no-subtasks">No subtasks yet.</p>';
+            return;
+        }
+
+        const panelNames = this.panelConfig.names || [];
+        subtasks.forEach(subtask => {
+            const statusIndex = this.columns.indexOf(subtask.status);
+            const statusName = panelNames[statusIndex] || subtask.status;
+            const done = this.isTaskDone(subtask);
+
+            const item = document.createElement('div');
+            item.className = 'subtask-item' + (done ? ' done' : '');
+            item.innerHTML = `
+                <input type="checkbox" class="subtask-done-toggle" ${done ? 'checked' : ''} title="Mark as done">
+                <span class="subtask-title" title="Open subtask">${this.escapeHtml(subtask.title)}</span>
+                <span class="subtask-status">${this.escapeHtml(statusName)}</span>
+                <button type="button" class="subtask-unlink-btn" title="Unlink subtask">×</button>
+            `;
+
+            item.querySelector('.subtask-done-toggle').addEventListener('change', (e) => {
+                const status = e.target.checked ? this.getDoneStatus() : this.columns[0];
+                this.updateTask(subtask.id, { status: status });
+                this.renderSubtasksList();
+            });
+
+            item.querySelector('.subtask-title').addEventListener('click', () => {
+                this.openTaskModal(subtask);
+            });
+
+            item.querySelector('.subtask-unlink-btn').addEventListener('click', () => {
+                this.updateTask(subtask.id, { parentIssueId: null });
+                this.renderSubtasksList();
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    // Setup subtask event listeners
+    setupSubtaskListeners() {
+        const addBtn = document.getElementById('add-subtask-btn');
+        const titleInput = document.getElementById('new-subtask-title');
+        const canAdd = !!this.currentTaskId;
+
+        if (titleInput) {
+            titleInput.value = '';
+            titleInput.disabled = !canAdd;
+            titleInput.placeholder = canAdd ? 'Add a subtask...' : 'Save the task first to add subtasks';
+        }
+        if (addBtn) {
+            addBtn.disabled = !canAdd;
+        }
+
+        const addSubtask = () => {
+            if (!this.currentTaskId || !titleInput || !titleInput.value.trim()) return;
+            this.createSubtask(this.currentTaskId, titleInput.value.trim());
+            titleInput.value = '';
+            this.renderSubtasksList();
+        };
+
+        if (addBtn) {
+            addBtn.onclick = addSubtask;
+        }
+        if (titleInput) {
+            titleInput.onkeydown = (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addSubtask();
+                }
+            };
+        }
+    }
+
+    // Render blocked-by and blocks lists in modal
+    renderDependencyLists() {
+        const blockedByList = document.getElementById('blocked-by-list');
+        const blocksList = document.getElementById('blocks-list');
+        if (!blockedByList || !blocksList) return;
+
+        const task = this.currentTaskId ? this.tasks.find(t => t.id === this.currentTaskId) : null;
+        if (!task) {
+            blockedByList.innerHTML = '<p class="no-dependencies">Save the task first to add dependencies.</p>';
+            blocksList.innerHTML = '';
+            this.populateDependencySelects(null);
+            return;
+        }
+
+        const renderList = (container, tasks, onRemove) => {
+            container.innerHTML = '';
+            if (tasks.length === 0) {
+                container.innerHTML = '<p class="no-dependencies">None</p>';
+                return;
+            }
+            tasks.forEach(other => {
+                const done = this.isTaskDone(other);
+                const item = document.createElement('div');
+                item.className = 'dependency-item' + (done ? ' done' : '');
+                item.innerHTML = `
+                    <span class="dependency-title" title="Open task">#${other.id} ${this.escapeHtml(other.title)}</span>
+                    <span class="dependency-state">${done ? 'Done' : 'Open'}</span>
+                    <button type="button" class="dependency-remove-btn" title="Remove dependency">×</button>
+                `;
+                item.querySelector('.dependency-title').addEventListener('click', () => this.openTaskModal(other));
+                item.querySelector('.dependency-remove-btn').addEventListener('click', () => {
+                    onRemove(other);
+                    this.renderDependencyLists();
+                });
+                container.appendChild(item);
+            });
+        };
+
+        renderList(blockedByList, this.getBlockers(task), other => this.removeDependency(task.id, other.id));
+        renderList(blocksList, this.getBlockedTasks(task.id), other => this.removeDependency(other.id, task.id));
+        this.populateDependencySelects(task);
+    }
+
+    // Fill the "add dependency" dropdowns with tasks not already linked
+    populateDependencySelects(task) {
+        const blockedBySelect = document.getElementById('new-blocked-by');
+        const blocksSelect = document.getElementById('new-blocks');
+        if (!blockedBySelect || !blocksSelect) return;
+
+        const fill = (select, excludedIds) => {
+            select.innerHTML = '<option value="">Select a task...</option>';
+            select.disabled = !task;
+            if (!task) return;
+            this.tasks
+                .filter(t => t.id !== task.id && !excludedIds.includes(t.id))
+                .forEach(t => {
+                    const option = document.createElement('option');
+                    option.value = t.id;
+                    option.textContent = `#${t.id} ${t.title}`;
+                    select.appendChild(option);
+                });
+        };
+
+        fill(blockedBySelect, task ? (task.blockedBy || []) : []);
+        fill(blocksSelect, task ? this.getBlockedTasks(task.id).map(t => t.id) : []);
+    }
+
+    // Setup dependency event listeners
+    setupDependencyListeners() {
+        const blockedByBtn = document.getElementById('add-blocked-by-btn');
+        const blocksBtn = document.getElementById('add-blocks-btn');
+        const blockedBySelect = document.getElementById('new-blocked-by');
+        const blocksSelect = document.getElementById('new-blocks');
+
+        if (blockedByBtn) {
+            blockedByBtn.disabled = !this.currentTaskId;
+            blockedByBtn.onclick = () => {
+                const blockerId = parseInt(blockedBySelect.value);
+                if (!this.currentTaskId || !blockerId) return;
+                this.addDependency(this.currentTaskId, blockerId);
+                this.renderDependencyLists();
+            };
+        }
+
+        if (blocksBtn) {
+            blocksBtn.disabled = !this.currentTaskId;
+            blocksBtn.onclick = () => {
+                const blockedId = parseInt(blocksSelect.value);
+                if (!this.currentTaskId || !blockedId) return;
+                this.addDependency(blockedId, this.currentTaskId);
+                this.renderDependencyLists();
+            };
+        }
+    }
+
+    // Render checklist items in modal
+    renderChecklist() {
+        const container = document.getElementById('checklist-items');
+        if (!container) return;
+
+        const checklist = this.currentChecklist || [];
+        container.innerHTML = '';
+
+        if (checklist.length === 0) {
+            container.innerHTML = '<p class="no-checklist">No checklist items yet.</p>';
+            return;
+        }
+
+        checklist.forEach((item, idx) => {
+            const row = document.createElement('div');
+            row.className = 'checklist-item' + (item.done ? ' done' : '');
+            row.innerHTML = `
+                <input type="checkbox" class="checklist-toggle" ${item.done ? 'checked' : ''}>
+                <span class="checklist-text">${this.escapeHtml(item.text)}</span>
+                <button type="button" class="checklist-remove-btn" title="Remove item">×</button>
+            `;
+
+            row.querySelector('.checklist-toggle').addEventListener('change', (e) => {
+                checklist[idx].done = e.target.checked;
+                this.renderChecklist();
+            });
+
+            row.querySelector('.checklist-remove-btn').addEventListener('click', () => {
+                checklist.splice(idx, 1);
+                this.renderChecklist();
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    // Setup checklist event listeners
+    setupChecklistListeners() {
+        const addBtn = document.getElementById('add-checklist-item-btn');
+        const textInput = document.getElementById('new-checklist-item');
+
+        if (textInput) textInput.value = '';
+
+        const addItem = () => {
+            if (!textInput || !textInput.value.trim()) return;
+            this.currentChecklist = this.currentChecklist || [];
+            this.currentChecklist.push({
+                id: Date.now(),
+                text: textInput.value.trim(),
+                done: false
+            });
+            textInput.value = '';
+            this.renderChecklist();
+        };
+
+        if (addBtn) {
+            addBtn.onclick = addItem;
+        }
+        if (textInput) {
+            textInput.onkeydown = (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addItem();
+                }
+            };
+        }
+    }
+
+    // Switch between the Comments and Activity panels in the task modal
+    setupTaskDetailTabs(activePanel = 'comments') {
+        const tabs = document.querySelectorAll('.task-detail-tab');
+        const showPanel = (panel) => {
+            tabs.forEach(tab => tab.classList.toggle('active', tab.dataset.panel === panel));
+            document.querySelectorAll('.task-detail-panel').forEach(el => {
+                el.classList.toggle('active', el.id === `task-panel-${panel}`);
+            });
+        };
+
+        tabs.forEach(tab => {
+            tab.onclick = () => showPanel(tab.dataset.panel);
+        });
+        showPanel(activePanel);
+    }
+
+    // Render the change history of a task, newest first
+    renderActivityList(task) {
+        const container = document.getElementById('activity-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const history = task ? (task.history || []) : [];
+
+        if (history.length === 0) {
+            container.innerHTML = '<p class="no-activity">No activity recorded yet.</p>';
+            return;
+        }
+
+        const fieldNames = {
+            assignee: 'assignee',
+            blockedBy: 'blocked by',
+            dueDate: 'due date',
+            startDate: 'start date',
+            parentIssueId: 'parent task',
+            backgroundColor: 'background color'
+        };
+
+        [...history].reverse().forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'activity-item';
+            const userName = entry.userId ? this.getUserName(entry.userId) : 'Someone';
+
+            let text;
+            if (entry.field === 'archived') {
+                text = entry.newValue ? 'archived this task' : 'restored this task from the archive';
+            } else if (entry.field === 'created') {
+                text = `created this task in <strong>${this.escapeHtml(this.formatHistoryValue('created', entry.newValue))}</strong>`;
+            } else if (entry.field === 'status') {
+                text = `moved from <strong>${this.escapeHtml(this.formatHistoryValue('status', entry.oldValue))}</strong> to <strong>${this.escapeHtml(this.formatHistoryValue('status', entry.newValue))}</strong>`;
+            } else {
+                const customField = entry.field.startsWith('custom:') ? this.customFields.getField(entry.field.slice(7)) : null;
+                const fieldName = customField ? customField.name : (fieldNames[entry.field] || entry.field);
+                text = `changed ${this.escapeHtml(fieldName)} from <strong>${this.escapeHtml(this.formatHistoryValue(entry.field, entry.oldValue))}</strong> to <strong>${this.escapeHtml(this.formatHistoryValue(entry.field, entry.newValue))}</strong>`;
+            }
+
+            item.innerHTML = `
+                <div class="activity-text"><span class="activity-user">${this.escapeHtml(userName)}</span> ${text}</div>
+                <div class="activity-date">${this.formatFullDate(entry.timestamp)}</div>
+            `;
+            container.appendChild(item);
+        });
+    }
+
     // Render comments list in modal
     renderCommentsList(comments) {
         const container = document.getElementById('comments-list');
@@ -1034,7 +3526,7 @@ class KanbanBoard {
                     <div class="comment-assignee">
                         ${this.getIcon('user')} Task assigned to: ${this.escapeHtml(commentAssignee)}
                     </div>
-                    <div class="comment-text">${this.escapeHtml(comment.text)}</div>
+                    <div class="comment-text markdown-body">${this.renderCommentText(comment)}</div>
                     <div class="comment-actions">
                         <button type="button" class="btn btn-sm edit-comment-btn" data-comment-id="${comment.id}">
                             ${this.getIcon('edit')} Edit
@@ -1119,7 +3611,10 @@ class KanbanBoard {
         }
         if (commentText) {
             commentText.disabled = false;
-            commentText.placeholder = 'Add a comment...';
+            commentText.placeholder = 'Add a comment... (type @ to mention someone)';
+            if (!this.commentMentions) {
+                this.commentMentions = new MentionAutocomplete(commentText, this);
+            }
         }
 
         if (addBtn) {
@@ -1133,6 +3628,8 @@ class KanbanBoard {
 
         if (commentText) {
             commentText.onkeydown = (e) => {
+                // Enter picks a mention suggestion instead of posting
+                if (e.defaultPrevented || (this.commentMentions && this.commentMentions.isOpen())) return;
                 if (e.key === 'Enter' && !e.shiftKey) {
                     e.preventDefault();
                     if (commentText.value.trim()) {
@@ -1208,6 +3705,9 @@ class KanbanBoard {
 
         editText.value = comment.text;
         assigneeSelect.value = comment.assigneeId || '';
+        if (!this.commentEditMentions) {
+            this.commentEditMentions = new MentionAutocomplete(editText, this);
+        }
 
         modal.classList.add('active');
         this.currentCommentId = commentId;
@@ -1226,6 +3726,7 @@ class KanbanBoard {
         const comment = task.comments.find(c => c.id === this.currentCommentId);
         if (comment) {
             comment.text = editText.value.trim();
+            comment.mentions = this.extractMentions(comment.text);
             comment.assigneeId = assigneeSelect.value || null;
             comment.updatedAt = new Date().toISOString();
             this.saveTasks();
@@ -1251,13 +3752,16 @@ class KanbanBoard {
             userId: window.userManager ? window.userManager.currentUserId : null,
             assigneeId: task.assignee || null,  // Default to task assignee
             text: text,
+            mentions: this.extractMentions(text), // user ids referenced as @Name
             createdAt: new Date().toISOString()
         };
 
         task.comments.push(comment);
         this.saveTasks();
         this.renderCommentsList(task.comments);
-        this.showNotification('Comment added', 'success');
+        this.updateInboxBadge();
+        const mentioned = comment.mentions.map(id => this.getUserName(id));
+        this.showNotification(mentioned.length > 0 ? `Comment added, mentioned ${mentioned.join(', ')}` : 'Comment added', 'success');
     }
 
     // Delete comment
@@ -1300,6 +3804,120 @@ class KanbanBoard {
         this.currentAttachments = [];
     }
 
+    // ========== MENTIONS & INBOX ==========
+
+    // Users mentioned as "@Name" (or "@email") in a comment, as user ids
+    extractMentions(text) {
+        if (!text || !window.userManager) return [];
+        // Longest handle first, and each match is taken out of the text, so "@Bob Smith"
+        // mentions Bob Smith and not also a user named "Bob"
+        const handles = [];
+        (window.userManager.users || []).forEach(user => {
+            [user.name, user.email].filter(Boolean).forEach(handle => handles.push({ handle: handle, userId: user.id }));
+        });
+        handles.sort((a, b) => b.handle.length - a.handle.length);
+
+        const mentions = [];
+        let remaining = String(text);
+        handles.forEach(({ handle, userId }) => {
+            remaining = remaining.replace(MarkdownRenderer.getMentionRegExp(handle, 'gi'), (match, before) => {
+                if (!mentions.includes(userId)) mentions.push(userId);
+                return before;
+            });
+        });
+
+        return mentions;
+    }
+
+    // Comment text as markdown with mentions highlighted (in text only, not in code or links)
+    renderCommentText(comment) {
+        const handles = [];
+        (comment.mentions || []).forEach(userId => {
+            const user = window.userManager ? window.userManager.getUser(userId) : null;
+            if (user) handles.push(...[user.name, user.email].filter(Boolean));
+        });
+        return this.markdown.render(comment.text, { mentions: handles });
+    }
+
+    // Mentions of the user and replies on tasks they are involved in, newest first
+    getInboxItems(userId) {
+        if (!userId) return [];
+        const isUser = id => id !== null && id !== undefined && String(id) === String(userId);
+        const read = this.loadInboxRead()[userId] || [];
+        const items = [];
+
+        this.tasks.forEach(task => {
+            const comments = [...(task.comments || [])]
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            let participated = isUser(task.assignee);
+
+            comments.forEach(comment => {
+                if (isUser(comment.userId)) {
+                    participated = true;
+                    return;
+                }
+
+                const mentioned = (comment.mentions || []).some(isUser);
+                if (mentioned || participated) {
+                    items.push({
+                        task: task,
+                        comment: comment,
+                        reason: mentioned ? 'mention' : 'reply',
+                        read: read.includes(comment.id)
+                    });
+                }
+            });
+        });
+
+        return items.sort((a, b) => new Date(b.comment.createdAt) - new Date(a.comment.createdAt));
+    }
+
+    // Read comment ids per user: { userId: [commentId, ...] }
+    loadInboxRead() {
+        try {
+            return JSON.parse(localStorage.getItem('kanban-inbox-read')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    markInboxRead(userId, commentIds) {
+        if (!userId) return;
+        const read = this.loadInboxRead();
+        const ids = new Set(read[userId] || []);
+        commentIds.forEach(id => ids.add(id));
+        read[userId] = [...ids];
+        localStorage.setItem('kanban-inbox-read', JSON.stringify(read));
+        this.updateInboxBadge();
+    }
+
+    getInboxUserId() {
+        const select = document.getElementById('messages-user-select');
+        if (select && select.value) return parseInt(select.value) || select.value;
+        return window.userManager ? window.userManager.currentUserId : null;
+    }
+
+    // Unread count for the current user on the messages button
+    updateInboxBadge() {
+        const button = document.getElementById('messages-btn');
+        if (!button) return;
+
+        const userId = window.userManager ? window.userManager.currentUserId : null;
+        const unread = this.getInboxItems(userId).filter(item => !item.read).length;
+
+        let badge = button.querySelector('.inbox-badge');
+        if (unread === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'inbox-badge';
+            button.appendChild(badge);
+        }
+        badge.textContent = unread > 99 ? '99+' : unread;
+    }
+
     // Messages Sidebar
     openMessagesSidebar() {
         const sidebar = document.getElementById('messages-sidebar');
@@ -1307,6 +3925,7 @@ class KanbanBoard {
         if (sidebar) {
             sidebar.classList.add('active');
             this.populateMessagesUserSelect();
+            this.renderMessagesList();
         }
         if (overlay) {
             overlay.classList.add('active');
@@ -1324,6 +3943,7 @@ class KanbanBoard {
         }
     }
 
+    // Whose inbox to show - defaults to the current user
     populateMessagesUserSelect() {
         const select = document.getElementById('messages-user-select');
         if (!select) return;
@@ -1343,133 +3963,76 @@ class KanbanBoard {
                 option.textContent = user.name || user.email || 'Unnamed User';
                 select.appendChild(option);
             });
+            select.value = window.userManager.currentUserId || '';
         } else {
             select.innerHTML = '<option value="">No users available</option>';
         }
 
         select.onchange = () => {
-            this.renderMessagesList(select.value);
+            this.renderMessagesList();
         };
     }
 
-    renderMessagesList(userId) {
+    renderMessagesList() {
         const container = document.getElementById('messages-list');
         if (!container) return;
 
+        const userId = this.getInboxUserId();
         if (!userId) {
-            container.innerHTML = '<p class="message-empty">Select a user to view their comments</p>';
-            return;
-        }
-
-        // Handle both string and number IDs
-        const userIdNum = typeof userId === 'string' ? parseInt(userId) : userId;
-
-        // Wait for userManager to be ready
-        if (!window.userManager) {
-            container.innerHTML = '<p class="message-empty">Loading users...</p>';
+            container.innerHTML = '<p class="message-empty">Select a user to view their inbox</p>';
             return;
         }
 
-        const user = window.userManager.getUser(userIdNum);
-        if (!user) {
-            container.innerHTML = '<p class="message-empty">User not found</p>';
-            return;
-        }
+        const unreadOnly = document.getElementById('inbox-filter')?.value === 'unread';
+        const allItems = this.getInboxItems(userId);
+        const items = unreadOnly ? allItems.filter(item => !item.read) : allItems;
 
-        // Find all comments made by this user
-        const messages = [];
-        if (this.tasks) {
-            this.tasks.forEach(task => {
-                if (task.comments && task.comments.length > 0) {
-                    task.comments.forEach(comment => {
-                        const commentUserId = typeof comment.userId === 'string' ? parseInt(comment.userId) : comment.userId;
-                        if (commentUserId === userIdNum) {
-                            messages.push({
-                                comment: comment,
-                                task: task
-                            });
-                        }
-                    });
-                }
-            });
+        const markAllBtn = document.getElementById('inbox-mark-all-read');
+        if (markAllBtn) {
+            markAllBtn.disabled = !allItems.some(item => !item.read);
+            markAllBtn.onclick = () => {
+                this.markInboxRead(userId, allItems.map(item => item.comment.id));
+                this.renderMessagesList();
+            };
         }
 
         container.innerHTML = '';
 
-        if (messages.length === 0) {
-            container.innerHTML = `<p class="message-empty">No comments found for ${user.name || user.email}</p>`;
+        if (items.length === 0) {
+            container.innerHTML = `<p class="message-empty">${unreadOnly ? 'No unread messages' : 'No mentions or replies yet'}</p>`;
             return;
         }
 
-        // Sort by date (newest first)
-        messages.sort((a, b) => new Date(b.comment.createdAt) - new Date(a.comment.createdAt));
-
-        // Get panel configuration
-        const panelConfig = this.panelConfig || { names: ['Backlog', 'To Do', 'In Progress', 'Done'] };
-        const columns = this.columns || ['backlog', 'todo', 'in-progress', 'done'];
-
-        // Group by panel/status using an array to preserve order
-        const groups = [];
-        const groupMap = {};
-
-        messages.forEach(({ comment, task }) => {
-            // Get panel index and name
-            const panelIndex = columns.indexOf(task.status);
-            const panelName = panelIndex >= 0 && panelIndex < panelConfig.names.length
-                ? panelConfig.names[panelIndex]
-                : task.status;
-
-            if (!groupMap[panelName]) {
-                groupMap[panelName] = {
-                    name: panelName,
-                    index: panelIndex >= 0 ? panelIndex : 999,
-                    items: []
-                };
-                groups.push(groupMap[panelName]);
-            }
-            groupMap[panelName].items.push({ comment, task });
-        });
-
-        // Sort groups by panel index to match kanban board order
-        groups.sort((a, b) => a.index - b.index);
-
-        // Render groups in order
-        groups.forEach(group => {
-            const groupDiv = document.createElement('div');
-            groupDiv.className = 'message-group';
-            groupDiv.innerHTML = `<div class="message-group-title">${group.name}</div>`;
-
-            group.items.forEach(({ comment, task }) => {
-                const userName = this.getUserName(comment.userId);
-                const userInitial = userName.charAt(0).toUpperCase();
-                const commentDate = this.formatFullDate(comment.createdAt);
+        items.forEach(({ task, comment, reason, read }) => {
+            const userName = this.getUserName(comment.userId);
+            const userInitial = userName.charAt(0).toUpperCase();
+            const commentDate = this.formatFullDate(comment.createdAt);
 
-                const item = document.createElement('div');
-                item.className = 'message-item';
-                item.dataset.taskId = task.id;
+            const item = document.createElement('div');
+            item.className = 'message-item' + (read ? '' : ' unread');
+            item.dataset.taskId = task.id;
 
-                item.innerHTML = `
-                    <div class="message-avatar">${userInitial}</div>
-                    <div class="message-content">
-                        <div class="message-header">
-                            <span class="message-author">${this.escapeHtml(userName)}</span>
-                            <span class="message-date">${commentDate}</span>
-                        </div>
-                        <div class="message-task">
-                            ${this.getIcon('clipboard')} ${this.escapeHtml(task.title)}
-                        </div>
-                        <div class="message-text">${this.escapeHtml(comment.text)}</div>
+            item.innerHTML = `
+                <div class="message-avatar">${userInitial}</div>
+                <div class="message-content">
+                    <div class="message-header">
+                        <span class="message-author">${this.escapeHtml(userName)}</span>
+                        <span class="message-reason">${reason === 'mention' ? 'mentioned you' : 'replied'}</span>
+                        <span class="message-date">${commentDate}</span>
                     </div>
-                `;
-
-                item.onclick = () => {
-                    this.goToTask(task.id);
-                };
+                    <div class="message-task">
+                        ${this.getIcon('clipboard')} ${this.escapeHtml(task.title)}
+                    </div>
+                    <div class="message-text markdown-body">${this.renderCommentText(comment)}</div>
+                </div>
+            `;
 
-                groupDiv.appendChild(item);
-            });
+            item.onclick = () => {
+                this.markInboxRead(userId, [comment.id]);
+                this.goToTask(task.id);
+            };
 
-            container.appendChild(groupDiv);
+            container.appendChild(item);
         });
     }
 
@@ -1500,6 +4063,11 @@ class KanbanBoard {
             overlay.onclick = () => this.closeMessagesSidebar();
         }
 
+        const inboxFilter = document.getElementById('inbox-filter');
+        if (inboxFilter) {
+            inboxFilter.onchange = () => this.renderMessagesList();
+        }
+
         // Close on Escape
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -1541,15 +4109,24 @@ class KanbanBoard {
             description: document.getElementById('task-description').value,
             assignee: document.getElementById('task-assignee').value,
             priority: document.getElementById('task-priority').value,
+            estimate: this.getEstimateFromFields(),
+            customFields: this.customFields.readInputs(taskId ? (this.tasks.find(t => t.id === parseInt(taskId)) || {}).customFields : {}),
+            startDate: document.getElementById('task-start-date').value,
             dueDate: document.getElementById('task-due-date').value,
             milestone: milestone,
             project: project,
-            parentIssueId: null,
             backgroundColor: document.getElementById('task-bg-color').value,
             attachments: this.currentAttachments || [],
+            checklist: this.currentChecklist || [],
+            recurrence: this.getRecurrenceFromFields(),
             labels: this.getSelectedLabels()
         };
 
+        if (taskData.startDate && taskData.dueDate && taskData.startDate > taskData.dueDate) {
+            this.showNotification('Start date must be on or before the due date', 'error');
+            return;
+        }
+
         if (taskId) {
             // Editing existing task - preserve comments (they may have been edited)
             const existingTask = this.tasks.find(t => t.id === parseInt(taskId));
@@ -1569,7 +4146,7 @@ class KanbanBoard {
             if (addButton) {
                 taskData.status = addButton.dataset.status;
             } else {
-                taskData.status = 'backlog';
+                taskData.status = this.columns[0];
             }
             // Add userId reference if user is logged in
             if (window.userManager && window.userManager.currentUserId) {
@@ -1580,6 +4157,7 @@ class KanbanBoard {
         }
 
         this.currentAttachments = [];
+        this.currentChecklist = [];
         this.currentTaskId = null;
         this.closeTaskModal();
         this.renderBoard();
@@ -2128,12 +4706,23 @@ class KanbanBoard {
 
     // Event Listeners
     setupEventListeners() {
-        // Add task buttons - now use inline creation
-        document.querySelectorAll('.add-task-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const status = e.target.dataset.status;
-                this.openInlineTaskCreator(status);
-            });
+        this.setupFilterBar();
+        this.setupViewControls();
+        this.setupBulkActionBar();
+
+        // Swimlane grouping
+        const swimlaneSelect = document.getElementById('swimlane-select');
+        if (swimlaneSelect) {
+            swimlaneSelect.value = this.swimlaneGroupBy;
+            swimlaneSelect.addEventListener('change', (e) => this.setSwimlaneGroupBy(e.target.value));
+        }
+
+        // Add task buttons - now use inline creation (delegated, since columns are re-rendered)
+        document.querySelector('.kanban-board')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.add-task-btn');
+            if (btn) {
+                this.openInlineTaskCreator(btn.dataset.status);
+            }
         });
 
         // Task modal
@@ -2249,6 +4838,11 @@ class KanbanBoard {
             <div class="inline-creator-content">
                 <input type="text" class="inline-title-input" placeholder="Enter task title..." maxlength="100">
                 <textarea class="inline-description-input" placeholder="Add description (optional)..." rows="2"></textarea>
+                ${this.getTaskTemplates().length > 0 ? `
+                <select class="inline-template-select" title="Start from a template">
+                    <option value="">Blank task</option>
+                    ${this.getTaskTemplates().map(t => `<option value="${this.escapeHtml(t.id)}">${this.escapeHtml(t.name)}</option>`).join('')}
+                </select>` : ''}
                 <div class="inline-creator-actions">
                     <button class="btn btn-sm secondary inline-cancel-btn">Cancel</button>
                     <button class="btn btn-sm primary inline-add-btn" disabled>Add Task</button>
@@ -2272,18 +4866,54 @@ class KanbanBoard {
         const descriptionInput = creator.querySelector('.inline-description-input');
         const addBtn = creator.querySelector('.inline-add-btn');
         const cancelBtn = creator.querySelector('.inline-cancel-btn');
+        const templateSelect = creator.querySelector('.inline-template-select');
+        const getTemplate = () => templateSelect ? this.getTaskTemplate(templateSelect.value) : null;
 
-        // Enable/disable add button based on title input
-        titleInput.addEventListener('input', () => {
-            addBtn.disabled = !titleInput.value.trim();
-        });
+        // Title the task would get: a template's pattern can supply it, but may also expand to nothing
+        const getTitle = () => {
+            const template = getTemplate();
+            const title = titleInput.value.trim();
+            return template ? this.expandTitlePattern(template.titlePattern, title) : title;
+        };
+
+        // Enable/disable add button based on the resulting title
+        const updateAddButton = () => {
+            addBtn.disabled = !getTitle();
+        };
+        titleInput.addEventListener('input', updateAddButton);
+
+        if (templateSelect) {
+            templateSelect.addEventListener('change', () => {
+                const template = getTemplate();
+                // Prefill the description skeleton unless something was already typed
+                if (template && !descriptionInput.value.trim()) {
+                    descriptionInput.value = template.description || '';
+                    descriptionInput.rows = 5;
+                }
+                titleInput.placeholder = template && template.titlePattern
+                    ? template.titlePattern.replace('{title}', '...')
+                    : 'Enter task title...';
+                updateAddButton();
+                titleInput.focus();
+            });
+        }
 
         // Handle add button click
         addBtn.addEventListener('click', () => {
             const title = titleInput.value.trim();
             const description = descriptionInput.value.trim();
+            const template = getTemplate();
+            if (!getTitle()) return;
 
-            if (title) {
+            if (template) {
+                this.createTask({
+                    ...this.getTemplateTaskData(template, title),
+                    description: description,
+                    status: status
+                });
+                this.closeInlineCreator();
+                this.renderBoard();
+            } else if (title) {
                 this.createTask({
                     title: title,
                     description: description,
@@ -2303,7 +4933,7 @@ class KanbanBoard {
         titleInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
-                if (titleInput.value.trim()) {
+                if (getTitle()) {
                     addBtn.click();
                 }
             } else if (e.key === 'Escape') {
@@ -2315,7 +4945,7 @@ class KanbanBoard {
         descriptionInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
-                if (titleInput.value.trim()) {
+                if (getTitle()) {
                     addBtn.click();
                 }
             } else if (e.key === 'Escape') {
@@ -2346,6 +4976,39 @@ class KanbanBoard {
     }
 }
 
+// Columns of a new board (see getDoneStatus for the done flag)
+KanbanBoard.DEFAULT_COLUMNS = [
+    { id: 'backlog', name: 'Backlog', wipLimit: 0 },
+    { id: 'todo', name: 'To Do', wipLimit: 0 },
+    { id: 'in-progress', name: 'In Progress', wipLimit: 0 },
+    { id: 'done', name: 'Done', wipLimit: 0, done: true }
+];
+
+// Most change history entries kept per task (they are also pushed to GitHub with the task),
+// and the length descriptions are cut to in it - as much as the activity list shows
+KanbanBoard.HISTORY_LIMIT = 100;
+KanbanBoard.HISTORY_TEXT_LENGTH = 60;
+
+// Estimate scales offered in Settings → Panels
+KanbanBoard.ESTIMATE_SCALES = {
+    fibonacci: { label: 'Story points', values: [1, 2, 3, 5, 8, 13, 21], unit: 'pts' },
+    tshirt: { label: 'T-shirt sizes', values: ['XS', 'S', 'M', 'L', 'XL'], unit: 'pts', points: { XS: 1, S: 2, M: 3, L: 5, XL: 8 } },
+    hours: { label: 'Hours', values: [], unit: 'h' }
+};
+
+// Card fields that can be hidden from cards (saved views store the visible ones)
+KanbanBoard.CARD_FIELDS = {
+    description: 'Description',
+    assignee: 'Assignee',
+    priority: 'Priority',
+    dueDate: 'Due date',
+    labels: 'Labels',
+    milestone: 'Milestone',
+    attachments: 'Attachments',
+    progress: 'Progress',
+    created: 'Created date'
+};
+
 // Initialize the board when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.kanbanBoard = new KanbanBoard();
@@ -0,0 +1,306 @@
+/**
+ * Markdown Renderer - Renders a safe subset of GitHub-flavored markdown to HTML
+ *
+ * Supported: headings, paragraphs (single newlines become <br>), bullet and numbered
+ * lists (nested by indentation), task-list checkboxes, fenced code blocks, block quotes,
+ * tables, horizontal rules, **bold**, *italic*, ~~strike~~, `code`, [links](url),
+ * ![images](url) and bare URLs.
+ *
+ * All text is HTML-escaped before any markup is added, and link/image URLs are limited
+ * to http(s), mailto and relative targets, so user content can never inject HTML.
+ */
+class MarkdownRenderer {
+    // Render markdown source to an HTML string.
+    // options.mentions: handles ("Name", "email") to highlight where written as @handle
+    render(source, options = {}) {
+        if (!source) return '';
+        const lines = String(source).replace(/\r\n?/g, '\n').split('\n');
+        return this.renderBlocks(lines, options);
+    }
+
+    renderBlocks(lines, options = {}) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Blank line
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(/^\s*(```|~~~)\s*([\w+-]*)\s*$/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence
+                const langClass = fence[2] ? ` class="language-${this.escape(fence[2])}"` : '';
+                html.push(`<pre><code${langClass}>${this.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Heading
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2], options)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // Horizontal rule
+            if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Block quote
+            if (/^\s{0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoted, options)}</blockquote>`);
+                continue;
+            }
+
+            // Table: header row followed by a |---|:---:| separator row
+            if (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1])) {
+                const rows = [];
+                const header = line;
+                const alignments = this.splitTableRow(lines[i + 1]).map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    if (left && right) return 'center';
+                    if (right) return 'right';
+                    if (left) return 'left';
+                    return '';
+                });
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(header, rows, alignments, options));
+                continue;
+            }
+
+            // List
+            if (this.matchListItem(line)) {
+                const listLines = [];
+                while (i < lines.length && lines[i].trim() &&
+                    (this.matchListItem(lines[i]) || /^\s+\S/.test(lines[i]))) {
+                    listLines.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderList(listLines, options));
+                continue;
+            }
+
+            // Paragraph: consecutive lines that do not start another block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            if (paragraph.length === 0) {
+                // A line that looked like a block start but did not form one
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            html.push(`<p>${paragraph.map(l => this.renderInline(l, options)).join('<br>')}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    // True if the line at index starts a non-paragraph block
+    startsBlock(lines, index) {
+        const line = lines[index];
+        return /^\s*(```|~~~)/.test(line) ||
+            /^\s{0,3}#{1,6}\s/.test(line) ||
+            /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            /^\s{0,3}>/.test(line) ||
+            !!this.matchListItem(line) ||
+            (line.includes('|') && index + 1 < lines.length && this.isTableSeparator(lines[index + 1]));
+    }
+
+    // Returns {indent, ordered, start, text} for a list item line, or null
+    matchListItem(line) {
+        const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (!match) return null;
+        const ordered = /\d/.test(match[2]);
+        return {
+            indent: match[1].replace(/\t/g, '    ').length,
+            ordered: ordered,
+            start: ordered ? parseInt(match[2]) : 1,
+            text: match[3]
+        };
+    }
+
+    // Render list lines, nesting items by indentation. A change between bullet and numbered
+    // items at the same level starts a new list.
+    renderList(lines, options = {}) {
+        const first = this.matchListItem(lines[0]);
+        const items = [];
+        let rest = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const item = this.matchListItem(lines[i]);
+            if (item && item.indent <= first.indent + 1) {
+                if (item.ordered !== first.ordered) {
+                    rest = lines.slice(i);
+                    break;
+                }
+                items.push({ text: item.text, children: [] });
+            } else if (items.length > 0) {
+                // Deeper items and continuation lines belong to the current item
+                items[items.length - 1].children.push(lines[i]);
+            }
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+        const isTaskList = items.some(item => /^\[[ xX]\]\s/.test(item.text));
+
+        const body = items.map(item => {
+            let content = item.text;
+            let checkbox = '';
+            const task = content.match(/^\[([ xX])\]\s+(.*)$/);
+            if (task) {
+                const checked = task[1] !== ' ';
+                checkbox = `<input type="checkbox" disabled${checked ? ' checked' : ''}> `;
+                content = task[2];
+            }
+
+            // Lines before the first nested item continue the item's text
+            const firstNested = item.children.findIndex(line => this.matchListItem(line));
+            const continuation = firstNested === -1 ? item.children : item.children.slice(0, firstNested);
+            const text = [content, ...continuation.map(l => l.trim())].map(l => this.renderInline(l, options)).join('<br>');
+            const nestedHtml = firstNested === -1 ? '' : this.renderList(item.children.slice(firstNested), options);
+
+            return `<li${task ? ' class="task-list-item"' : ''}>${checkbox}${text}${nestedHtml}</li>`;
+        }).join('');
+
+        const list = `<${tag}${startAttr}${isTaskList ? ' class="task-list"' : ''}>${body}</${tag}>`;
+        return rest.length > 0 ? list + this.renderList(rest, options) : list;
+    }
+
+    isTableSeparator(line) {
+        return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('|');
+    }
+
+    splitTableRow(line) {
+        return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    renderTable(header, rows, alignments, options = {}) {
+        const cell = (tag, text, index) => {
+            const align = alignments[index] ? ` style="text-align:${alignments[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text, options)}</${tag}>`;
+        };
+        const headerCells = this.splitTableRow(header);
+        const head = `<tr>${headerCells.map((text, index) => cell('th', text, index)).join('')}</tr>`;
+        const body = rows.map(row => {
+            const cells = this.splitTableRow(row);
+            return `<tr>${headerCells.map((_, index) => cell('td', cells[index] || '', index)).join('')}</tr>`;
+        }).join('');
+        return `<table><thead>${head}</thead><tbody>${body}</tbody></table>`;
+    }
+
+    // Inline markup on a single line of text
+    renderInline(text, options = {}) {
+        // Generated HTML (code spans, images, links) is set aside as numbered placeholders so
+        // later passes only ever see escaped text, never markup or attribute values
+        const tokens = [];
+        const hold = html => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        // Pull out code spans first so their contents are not formatted
+        let result = String(text).replace(/\u0000/g, '').replace(/`([^`]+)`/g, (_, code) =>
+            hold(`<code>${this.escape(code)}</code>`));
+
+        result = this.escape(result);
+
+        // Images and links
+        result = result.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+            const safeUrl = this.sanitizeUrl(url);
+            return safeUrl ? hold(`<img src="${safeUrl}" alt="${alt}" loading="lazy">`) : match;
+        });
+        result = result.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            const safeUrl = this.sanitizeUrl(url);
+            return safeUrl ? hold(`<a href="${safeUrl}" target="_blank" rel="noopener noreferrer">${this.renderEmphasis(label)}</a>`) : match;
+        });
+
+        // Bare URLs in the remaining text. The text is escaped by now, so a URL may follow an
+        // escaped quote or angle bracket and stops at one rather than swallowing the entity.
+        result = result.replace(/(^|[\s(]|&quot;|&#39;|&lt;)(https?:\/\/(?:(?!&(?:#39|quot|lt|gt);)[^\s\u0000])*(?:(?!&(?:#39|quot|lt|gt);)[^\s\u0000.,:;)\]]))/g, (_, before, url) =>
+            `${before}${hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`)}`);
+
+        // Mentions in the remaining text, longest handle first so "@Bob Smith" wins over "@Bob"
+        [...(options.mentions || [])].sort((a, b) => b.length - a.length).forEach(handle => {
+            result = result.replace(MarkdownRenderer.getMentionRegExp(this.escape(handle), 'gi'), (match, before) =>
+                `${before}${hold(`<span class="mention">${match.slice(before.length)}</span>`)}`);
+        });
+
+        result = this.renderEmphasis(result);
+
+        // Placeholders can be nested (a code span inside a link label)
+        while (/\u0000\d+\u0000/.test(result)) {
+            result = result.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[parseInt(index)]);
+        }
+        return result;
+    }
+
+    // Bold, italic and strikethrough on escaped text
+    renderEmphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)([^_]*?\S)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?![*\w])/g, '$1<em>$2</em>')
+            .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([^~]*?\S)~~/g, '<del>$1</del>');
+    }
+
+    // Allow http(s), mailto, anchors and relative URLs; reject javascript:, data: etc.
+    // The URL must already be escaped: anything that could end the attribute it goes into
+    // is rejected, so an unescaped value can never reach the generated HTML.
+    sanitizeUrl(url) {
+        if (/["'<>\s\u0000]/.test(url)) return null;
+        const decoded = url.replace(/&amp;/g, '&').trim();
+        if (/^[a-z][a-z0-9+.-]*:/i.test(decoded) && !/^(https?|mailto):/i.test(decoded)) {
+            return null;
+        }
+        return url;
+    }
+
+    // Escape text for use in HTML content and attribute values
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// "@handle" at the start of the text or after whitespace, not followed by a word character
+// or another @ (so "@Bob" does not match "@Bobby" or "@Bob@example.com")
+MarkdownRenderer.getMentionRegExp = (handle, flags = 'i') => {
+    const escaped = handle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\s)@${escaped}(?![\\w@])`, flags);
+};
+
+window.MarkdownRenderer = MarkdownRenderer;
@@ -0,0 +1,125 @@
+/**
+ * Mention Autocomplete - Suggests users while typing "@name" in a textarea
+ *
+ * Attach one instance per textarea. Choosing a suggestion (click, Enter or Tab)
+ * replaces the typed "@query" with "@User Name ". Key handlers on the same textarea
+ * should ignore events with defaultPrevented set, which is how a handled Enter is marked.
+ */
+class MentionAutocomplete {
+    constructor(textarea, kanbanBoard) {
+        this.textarea = textarea;
+        this.kanbanBoard = kanbanBoard;
+        this.suggestions = [];
+        this.activeIndex = 0;
+        this.mentionStart = -1;
+
+        this.dropdown = document.createElement('div');
+        this.dropdown.className = 'mention-suggestions';
+        this.dropdown.style.display = 'none';
+        textarea.parentNode.insertBefore(this.dropdown, textarea.nextSibling);
+
+        textarea.addEventListener('input', () => this.update());
+        textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        textarea.addEventListener('blur', () => {
+            // Delay so a click on a suggestion is handled first
+            setTimeout(() => this.close(), 150);
+        });
+    }
+
+    isOpen() {
+        return this.dropdown.style.display !== 'none';
+    }
+
+    // Find an "@query" directly before the caret and show matching users
+    update() {
+        const caret = this.textarea.selectionStart;
+        const before = this.textarea.value.slice(0, caret);
+        const match = before.match(/(^|\s)@([^\s@]*)$/);
+
+        if (!match) {
+            this.close();
+            return;
+        }
+
+        const query = match[2].toLowerCase();
+        this.mentionStart = caret - match[2].length - 1;
+
+        const users = window.userManager ? window.userManager.users || [] : [];
+        this.suggestions = users.filter(user => {
+            const name = (user.name || '').toLowerCase();
+            const email = (user.email || '').toLowerCase();
+            return name.includes(query) || email.startsWith(query);
+        }).slice(0, 8);
+
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.activeIndex = 0;
+        this.render();
+    }
+
+    render() {
+        this.dropdown.innerHTML = '';
+        this.suggestions.forEach((user, index) => {
+            const item = document.createElement('div');
+            item.className = 'mention-suggestion' + (index === this.activeIndex ? ' active' : '');
+            const name = user.name || user.email || 'Unnamed User';
+            item.innerHTML = `
+                <span class="mention-suggestion-name">${this.kanbanBoard.escapeHtml(name)}</span>
+                ${user.email ? `<span class="mention-suggestion-email">${this.kanbanBoard.escapeHtml(user.email)}</span>` : ''}
+            `;
+            // mousedown keeps focus in the textarea
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.select(index);
+            });
+            this.dropdown.appendChild(item);
+        });
+        this.dropdown.style.display = 'block';
+    }
+
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + step + this.suggestions.length) % this.suggestions.length;
+            this.render();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            e.preventDefault();
+            this.select(this.activeIndex);
+        } else if (e.key === 'Escape') {
+            // Close the suggestions without closing the modal
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+        }
+    }
+
+    // Replace "@query" with the chosen user's name
+    select(index) {
+        const user = this.suggestions[index];
+        if (!user || this.mentionStart < 0) return;
+
+        const value = this.textarea.value;
+        const caret = this.textarea.selectionStart;
+        const mention = `@${user.name || user.email} `;
+        this.textarea.value = value.slice(0, this.mentionStart) + mention + value.slice(caret);
+
+        const newCaret = this.mentionStart + mention.length;
+        this.textarea.setSelectionRange(newCaret, newCaret);
+        this.textarea.focus();
+        this.close();
+    }
+
+    close() {
+        this.dropdown.style.display = 'none';
+        this.suggestions = [];
+        this.mentionStart = -1;
+    }
+}
+
+window.MentionAutocomplete = MentionAutocomplete;
@@ -0,0 +1,306 @@
+/**
+ * Reminders - Digest of overdue tasks and tasks due soon
+ *
+ * Checked on load and every few minutes while the tab is open. Open (not done, not archived)
+ * tasks whose due date has passed or falls within the reminder window are listed in the
+ * reminders sidebar and counted on its header button. Optionally each one is also announced
+ * once through the browser's Notifications API.
+ *
+ * Settings and state are kept in localStorage:
+ *   kanban-reminder-days      reminder window in days (0 = only overdue tasks)
+ *   kanban-reminder-browser   'true' to show browser notifications
+ *   kanban-reminder-snoozes   { [taskId]: ISO time } tasks hidden until that time
+ *   kanban-reminder-notified  keys of the browser notifications already shown
+ */
+class ReminderManager {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        const days = parseInt(localStorage.getItem('kanban-reminder-days'));
+        this.windowDays = isNaN(days) ? ReminderManager.DEFAULT_DAYS : days;
+        this.browserNotifications = localStorage.getItem('kanban-reminder-browser') === 'true';
+        this.snoozes = this.loadJSON('kanban-reminder-snoozes', {});
+        this.notified = this.loadJSON('kanban-reminder-notified', []);
+
+        this.setupEventListeners();
+        this.check(true);
+        this.timer = setInterval(() => this.check(), ReminderManager.CHECK_INTERVAL);
+    }
+
+    loadJSON(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    // Open tasks with a due date on or before the end of the window, overdue first.
+    // Each item is { task, overdue, days } where days is how far the due date is from today.
+    getDueTasks(includeSnoozed = false) {
+        const board = this.kanbanBoard;
+        const today = board.parseDateOnly(board.formatDateOnly(new Date()));
+        const day = 24 * 60 * 60 * 1000;
+
+        return board.tasks
+            .filter(task => task.dueDate && !task.archived && !board.isTaskDone(task))
+            .filter(task => includeSnoozed || !this.isSnoozed(task.id))
+            .map(task => {
+                const days = Math.round((board.parseDateOnly(String(task.dueDate).slice(0, 10)) - today) / day);
+                return { task: task, overdue: days < 0, days: days };
+            })
+            .filter(item => item.days <= this.windowDays)
+            .sort((a, b) => a.days - b.days || a.task.title.localeCompare(b.task.title));
+    }
+
+    isSnoozed(taskId) {
+        const until = this.snoozes[taskId];
+        return !!until && new Date(until).getTime() > Date.now();
+    }
+
+    // Hide a task from the digest (and browser notifications) for a while
+    snooze(taskId, option) {
+        const until = new Date();
+        switch (option) {
+            case 'hour':
+                until.setHours(until.getHours() + 1);
+                break;
+            case 'week':
+                until.setDate(until.getDate() + 7);
+                until.setHours(9, 0, 0, 0);
+                break;
+            default: // tomorrow morning
+                until.setDate(until.getDate() + 1);
+                until.setHours(9, 0, 0, 0);
+        }
+
+        this.snoozes[taskId] = until.toISOString();
+        localStorage.setItem('kanban-reminder-snoozes', JSON.stringify(this.snoozes));
+        this.check();
+
+        const task = this.kanbanBoard.tasks.find(t => t.id === taskId);
+        this.kanbanBoard.showNotification(`Snoozed "${task ? task.title : 'task'}" until ${until.toLocaleString(undefined, { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`, 'info');
+    }
+
+    // Collect due tasks, update the badge and digest, and announce new ones.
+    // On load an in-app summary is shown as well.
+    check(onLoad = false) {
+        // Forget snoozes that have run out
+        Object.keys(this.snoozes).forEach(id => {
+            if (!this.isSnoozed(id)) delete this.snoozes[id];
+        });
+        localStorage.setItem('kanban-reminder-snoozes', JSON.stringify(this.snoozes));
+
+        const items = this.refresh();
+        if (onLoad && items.length > 0) {
+            this.kanbanBoard.showNotification(this.getSummary(items), items.some(item => item.overdue) ? 'warning' : 'info');
+        }
+        this.notifyBrowser(items);
+    }
+
+    // Update the badge (and the digest if open) after tasks change; called after every board render
+    refresh() {
+        const items = this.getDueTasks();
+        this.updateBadge(items);
+        if (this.isOpen()) this.renderDigest();
+        return items;
+    }
+
+    // "2 tasks overdue, 3 due soon"
+    getSummary(items) {
+        const overdue = items.filter(item => item.overdue).length;
+        const dueSoon = items.length - overdue;
+        const parts = [];
+        if (overdue > 0) parts.push(`${overdue} task${overdue === 1 ? '' : 's'} overdue`);
+        if (dueSoon > 0) parts.push(`${dueSoon} due ${this.windowDays === 0 ? 'today' : 'soon'}`);
+        return parts.join(', ');
+    }
+
+    // Human readable due date relative to today
+    describeDue(item) {
+        if (item.days < 0) return `${-item.days} day${item.days === -1 ? '' : 's'} overdue`;
+        if (item.days === 0) return 'Due today';
+        if (item.days === 1) return 'Due tomorrow';
+        return `Due in ${item.days} days`;
+    }
+
+    // ========== BROWSER NOTIFICATIONS ==========
+
+    isBrowserSupported() {
+        return typeof window.Notification !== 'undefined';
+    }
+
+    // Turning them on asks for permission first; they stay off if it is refused
+    async setBrowserNotifications(enabled) {
+        if (enabled && this.isBrowserSupported() && Notification.permission !== 'granted') {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                enabled = false;
+                this.kanbanBoard.showNotification('Browser notifications are blocked for this site', 'warning');
+            }
+        }
+
+        this.browserNotifications = enabled && this.isBrowserSupported();
+        localStorage.setItem('kanban-reminder-browser', String(this.browserNotifications));
+        this.check();
+    }
+
+    // One notification per task, due date and state (due soon, then overdue)
+    notifyBrowser(items) {
+        const keys = items.map(item => `${item.task.id}:${item.task.dueDate}:${item.overdue ? 'overdue' : 'soon'}`);
+
+        if (this.browserNotifications && this.isBrowserSupported() && Notification.permission === 'granted') {
+            items.forEach((item, i) => {
+                if (this.notified.includes(keys[i])) return;
+                const notification = new Notification(item.task.title, {
+                    body: `${this.describeDue(item)} · ${this.kanbanBoard.getColumnName(item.task.status)}`,
+                    tag: `pixelkanban-reminder-${item.task.id}`
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    this.kanbanBoard.openTaskModal(item.task);
+                    notification.close();
+                };
+            });
+        }
+
+        // Remember everything currently due so turning notifications on later does not flood
+        // the desktop with tasks that are already in the digest
+        this.notified = keys;
+        localStorage.setItem('kanban-reminder-notified', JSON.stringify(this.notified));
+    }
+
+    // ========== DIGEST SIDEBAR ==========
+
+    updateBadge(items) {
+        const button = document.getElementById('reminders-btn');
+        if (!button) return;
+
+        const overdue = items.some(item => item.overdue);
+        button.classList.toggle('has-overdue', overdue);
+        button.title = items.length > 0 ? `Reminders: ${this.getSummary(items)}` : 'Reminders';
+
+        let badge = button.querySelector('.inbox-badge');
+        if (items.length === 0) {
+            if (badge) badge.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'inbox-badge';
+            button.appendChild(badge);
+        }
+        badge.textContent = items.length > 99 ? '99+' : items.length;
+    }
+
+    isOpen() {
+        const sidebar = document.getElementById('reminders-sidebar');
+        return !!sidebar && sidebar.classList.contains('active');
+    }
+
+    open() {
+        const sidebar = document.getElementById('reminders-sidebar');
+        const overlay = document.getElementById('reminders-overlay');
+        if (sidebar) sidebar.classList.add('active');
+        if (overlay) overlay.classList.add('active');
+        this.renderDigest();
+    }
+
+    close() {
+        const sidebar = document.getElementById('reminders-sidebar');
+        const overlay = document.getElementById('reminders-overlay');
+        if (sidebar) sidebar.classList.remove('active');
+        if (overlay) overlay.classList.remove('active');
+    }
+
+    renderDigest() {
+        const container = document.getElementById('reminders-list');
+        if (!container) return;
+
+        const board = this.kanbanBoard;
+        const daysInput = document.getElementById('reminder-days');
+        if (daysInput && document.activeElement !== daysInput) daysInput.value = this.windowDays;
+        const browserToggle = document.getElementById('reminder-browser');
+        if (browserToggle) {
+            browserToggle.checked = this.browserNotifications;
+            browserToggle.disabled = !this.isBrowserSupported();
+        }
+
+        const items = this.getDueTasks();
+        const snoozed = this.getDueTasks(true).length - items.length;
+        const countEl = document.getElementById('reminders-count');
+        if (countEl) {
+            countEl.textContent = (items.length > 0 ? this.getSummary(items) : 'Nothing due') +
+                (snoozed > 0 ? ` · ${snoozed} snoozed` : '');
+        }
+
+        container.innerHTML = '';
+        if (items.length === 0) {
+            container.innerHTML = `<p class="message-empty">No open tasks are overdue${this.windowDays > 0 ? ` or due in the next ${this.windowDays} day${this.windowDays === 1 ? '' : 's'}` : ''}</p>`;
+            return;
+        }
+
+        items.forEach(item => {
+            const task = item.task;
+            const el = document.createElement('div');
+            el.className = `reminder-item ${item.overdue ? 'overdue' : 'due-soon'}`;
+            el.innerHTML = `
+                <div class="reminder-item-title">${task.emoji ? board.escapeHtml(task.emoji) + ' ' : ''}${board.escapeHtml(task.title)}</div>
+                <div class="reminder-item-meta">
+                    <span class="reminder-item-due">${this.describeDue(item)}</span>
+                    · ${board.formatTaskDate(task.dueDate)} · ${board.escapeHtml(board.getColumnName(task.status))}
+                    ${task.assignee ? ` · ${board.escapeHtml(board.getUserName(task.assignee))}` : ''}
+                </div>
+                <div class="reminder-item-actions">
+                    <button class="btn btn-sm" data-action="open">${board.getIcon('edit')} Open</button>
+                    <select class="reminder-snooze" title="Snooze">
+                        <option value="">Snooze…</option>
+                        <option value="hour">1 hour</option>
+                        <option value="tomorrow">Until tomorrow</option>
+                        <option value="week">1 week</option>
+                    </select>
+                </div>
+            `;
+
+            el.querySelector('[data-action="open"]').addEventListener('click', () => {
+                this.close();
+                board.openTaskModal(task);
+            });
+            el.querySelector('.reminder-snooze').addEventListener('change', (e) => {
+                if (e.target.value) this.snooze(task.id, e.target.value);
+            });
+
+            container.appendChild(el);
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('reminders-btn')?.addEventListener('click', () => this.open());
+        document.getElementById('reminders-sidebar-close')?.addEventListener('click', () => this.close());
+        document.getElementById('reminders-overlay')?.addEventListener('click', () => this.close());
+
+        document.getElementById('reminder-days')?.addEventListener('change', (e) => {
+            this.windowDays = Math.max(parseInt(e.target.value) || 0, 0);
+            localStorage.setItem('kanban-reminder-days', this.windowDays);
+            this.check();
+        });
+        document.getElementById('reminder-browser')?.addEventListener('change', (e) => {
+            this.setBrowserNotifications(e.target.checked);
+        });
+    }
+}
+
+// Default reminder window in days
+ReminderManager.DEFAULT_DAYS = 2;
+
+// How often due dates are checked while the tab is open
+ReminderManager.CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Initialize reminders when the board is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const checkForBoard = setInterval(() => {
+        if (window.kanbanBoard) {
+            window.reminders = new ReminderManager(window.kanbanBoard);
+            clearInterval(checkForBoard);
+        }
+    }, 100);
+});
@@ -0,0 +1,778 @@
+/**
+ * Reports - Charts built from the board's recorded history, drawn as inline SVG
+ *
+ * Status changes are recorded on each task by KanbanBoard.recordHistory (every move,
+ * including drag and drop through moveTask, adds a timestamped "status" entry), so the
+ * charts can replay where every task was on any day.
+ *
+ *   cfd   Cumulative flow diagram: tasks per column per day as stacked areas
+ *   flow  Lead time (created to done) and cycle time (started to done) of finished tasks,
+ *         per task, as a scatter plot and as 50/85/95th percentiles
+ *   burn  Burndown and burnup of a milestone (GitHub or local) in tasks or points, with
+ *         an ideal line to the milestone's due date
+ *   load  Open tasks, points and overdue tasks per user by column and priority, with
+ *         anyone over the capacity (kanban-workload-capacity) highlighted
+ */
+class ReportsManager {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.currentReport = 'cfd';
+        this.githubMilestones = null; // Loaded from the selected repository on first use
+        this.setupEventListeners();
+    }
+
+    open(report = this.currentReport) {
+        const modal = document.getElementById('reports-modal');
+        if (!modal) return;
+
+        modal.classList.add('active');
+        this.switchReport(report);
+    }
+
+    close() {
+        const modal = document.getElementById('reports-modal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    switchReport(report) {
+        this.currentReport = report;
+        document.querySelectorAll('.report-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.report === report);
+        });
+        this.renderControls();
+        this.render();
+    }
+
+    // Inputs for the current report; changing any of them redraws the chart
+    renderControls() {
+        const container = document.getElementById('reports-controls');
+        if (!container) return;
+
+        switch (this.currentReport) {
+            case 'cfd':
+                container.innerHTML = this.renderDateInputs(30);
+                break;
+            case 'flow':
+                container.innerHTML = this.renderDateInputs(90) + this.renderTaskFilterInputs();
+                break;
+            case 'burn':
+                container.innerHTML = this.renderBurnInputs();
+                this.setupBurnInputs();
+                break;
+            case 'load':
+                container.innerHTML = this.renderWorkloadInputs();
+                break;
+            default:
+                container.innerHTML = '';
+        }
+
+        container.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener('change', () => this.render());
+        });
+    }
+
+    // From/To inputs covering the last `days` days
+    renderDateInputs(days) {
+        const board = this.kanbanBoard;
+        const from = new Date();
+        from.setDate(from.getDate() - days);
+        return `
+            <div class="form-group">
+                <label for="report-from">From</label>
+                <input type="date" id="report-from" value="${board.formatDateOnly(from)}">
+            </div>
+            <div class="form-group">
+                <label for="report-to">To</label>
+                <input type="date" id="report-to" value="${board.formatDateOnly(new Date())}">
+            </div>
+        `;
+    }
+
+    // Label, assignee and milestone selects (see matchesTaskFilters)
+    renderTaskFilterInputs() {
+        const board = this.kanbanBoard;
+        const users = window.userManager ? window.userManager.users || [] : [];
+        const option = (value, text) => `<option value="${board.escapeHtml(String(value))}">${board.escapeHtml(text)}</option>`;
+        return `
+            <div class="form-group">
+                <label for="report-label">Label</label>
+                <select id="report-label">
+                    <option value="">All labels</option>
+                    ${board.getKnownLabelNames().map(name => option(name, name)).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="report-assignee">Assignee</label>
+                <select id="report-assignee">
+                    <option value="">Everyone</option>
+                    ${users.map(user => option(user.id, user.name || user.email || 'Unnamed User')).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="report-milestone">Milestone</label>
+                <select id="report-milestone">
+                    <option value="">All milestones</option>
+                    ${[...board.getKnownMilestones().keys()].map(name => option(name, name)).join('')}
+                </select>
+            </div>
+        `;
+    }
+
+    // Whether a task matches the label, assignee and milestone selects
+    matchesTaskFilters(task) {
+        const board = this.kanbanBoard;
+        const label = document.getElementById('report-label')?.value || '';
+        const assignee = document.getElementById('report-assignee')?.value || '';
+        const milestone = document.getElementById('report-milestone')?.value || '';
+
+        if (label && !(task.labels || []).some(l => (typeof l === 'object' ? l.name : l) === label)) return false;
+        if (assignee && String(task.assignee) !== assignee) return false;
+        if (milestone && board.getMilestoneDisplayName(task.milestone) !== milestone) return false;
+        return true;
+    }
+
+    render() {
+        const container = document.getElementById('reports-results');
+        if (!container) return;
+
+        switch (this.currentReport) {
+            case 'cfd':
+                this.renderCumulativeFlow(container);
+                break;
+            case 'flow':
+                this.renderFlowTimes(container);
+                break;
+            case 'burn':
+                this.renderBurnCharts(container);
+                break;
+            case 'load':
+                this.renderWorkload(container);
+                break;
+            default:
+                container.innerHTML = '';
+        }
+
+        container.querySelectorAll('.report-task-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const task = this.kanbanBoard.tasks.find(t => t.id === parseInt(link.dataset.taskId));
+                if (task) {
+                    this.close();
+                    this.kanbanBoard.openTaskModal(task);
+                }
+            });
+        });
+    }
+
+    // Local dates from..to inclusive, or null if the range is invalid
+    getDateRange() {
+        const board = this.kanbanBoard;
+        const from = document.getElementById('report-from')?.value;
+        const to = document.getElementById('report-to')?.value;
+        if (!from || !to || from > to) return null;
+        return this.getDays(board.parseDateOnly(from), board.parseDateOnly(to));
+    }
+
+    // Every local day from..to inclusive (at most two years)
+    getDays(from, to) {
+        const days = [];
+        const day = new Date(from);
+        day.setHours(0, 0, 0, 0);
+        const last = new Date(to);
+        while (day <= last && days.length < 731) {
+            days.push(new Date(day));
+            day.setDate(day.getDate() + 1);
+        }
+        return days;
+    }
+
+    endOfDay(day) {
+        const end = new Date(day);
+        end.setHours(23, 59, 59, 999);
+        return end;
+    }
+
+    // Fill colors for chart series, in column order
+    getSeriesColor(index) {
+        return ReportsManager.COLORS[index % ReportsManager.COLORS.length];
+    }
+
+    // ========== CUMULATIVE FLOW ==========
+
+    // [{date, counts: {status: n}}] with each task's column at the end of every day
+    getCumulativeFlowData(days) {
+        const board = this.kanbanBoard;
+        return days.map(day => {
+            const end = this.endOfDay(day);
+            const counts = {};
+            board.columns.forEach(status => { counts[status] = 0; });
+            board.tasks.forEach(task => {
+                const status = board.getStatusAt(task, end);
+                if (status && counts[status] !== undefined) counts[status]++;
+            });
+            return { date: day, counts: counts };
+        });
+    }
+
+    renderCumulativeFlow(container) {
+        const board = this.kanbanBoard;
+        const days = this.getDateRange();
+        if (!days) {
+            container.innerHTML = '<p class="message-empty">Choose a valid date range</p>';
+            return;
+        }
+
+        const data = this.getCumulativeFlowData(days);
+        const max = Math.max(1, ...data.map(point => Object.values(point.counts).reduce((a, b) => a + b, 0)));
+        const chart = this.createChart(days.length, max);
+
+        // Last column at the bottom, first column on top
+        const stackOrder = [...board.columns].reverse();
+        const baseline = data.map(() => 0);
+        const areas = stackOrder.map(status => {
+            const lower = [...baseline];
+            data.forEach((point, i) => { baseline[i] += point.counts[status]; });
+            const upper = [...baseline];
+            const top = upper.map((value, i) => `${chart.x(i)},${chart.y(value)}`);
+            const bottom = lower.map((value, i) => `${chart.x(i)},${chart.y(value)}`).reverse();
+            const color = this.getSeriesColor(board.columns.indexOf(status));
+            return `<polygon points="${top.concat(bottom).join(' ')}" fill="${color}" fill-opacity="0.75" stroke="${color}">
+                <title>${board.escapeHtml(board.getColumnName(status))}</title>
+            </polygon>`;
+        });
+
+        // Invisible per-day columns with the day's counts as a tooltip
+        const hovers = data.map((point, i) => {
+            const lines = board.columns.map(status => `${board.getColumnName(status)}: ${point.counts[status]}`);
+            return `<rect class="chart-hover" x="${chart.x(i) - chart.step / 2}" y="${chart.top}" width="${Math.max(chart.step, 1)}" height="${chart.plotHeight}">
+                <title>${board.escapeHtml(board.formatTaskDate(board.formatDateOnly(point.date)))}\n${board.escapeHtml(lines.join('\n'))}</title>
+            </rect>`;
+        });
+
+        const latest = data[data.length - 1].counts;
+        container.innerHTML = `
+            ${this.renderLegend(board.columns.map((status, i) => ({
+                label: `${board.getColumnName(status)} (${latest[status]})`,
+                color: this.getSeriesColor(i)
+            })))}
+            <svg class="report-chart" viewBox="0 0 ${chart.width} ${chart.height}" preserveAspectRatio="none">
+                ${chart.axes(days)}
+                ${areas.join('')}
+                ${hovers.join('')}
+            </svg>
+            <p class="report-note">Each band is the number of tasks in a column at the end of the day. A band that keeps widening shows a bottleneck.</p>
+        `;
+    }
+
+    // ========== CYCLE & LEAD TIME ==========
+
+    // Finished tasks (archived included) completed in the date range, with their flow times
+    getFlowTimesData(days) {
+        const board = this.kanbanBoard;
+        const from = board.formatDateOnly(days[0]);
+        const to = board.formatDateOnly(days[days.length - 1]);
+
+        return board.tasks
+            .filter(task => this.matchesTaskFilters(task))
+            .map(task => ({ task: task, times: board.getFlowTimes(task) }))
+            .filter(row => {
+                if (!row.times) return false;
+                const done = board.formatDateOnly(row.times.doneAt);
+                return done >= from && done <= to;
+            })
+            .sort((a, b) => a.times.doneAt - b.times.doneAt);
+    }
+
+    renderFlowTimes(container) {
+        const board = this.kanbanBoard;
+        const days = this.getDateRange();
+        if (!days) {
+            container.innerHTML = '<p class="message-empty">Choose a valid date range</p>';
+            return;
+        }
+
+        const rows = this.getFlowTimesData(days);
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="message-empty">No tasks were finished in this range</p>';
+            return;
+        }
+
+        const lead = rows.map(row => row.times.leadDays);
+        const cycle = rows.map(row => row.times.cycleDays).filter(value => value !== null);
+        const percentiles = [50, 85, 95];
+        const leadColor = this.getSeriesColor(1);
+        const cycleColor = this.getSeriesColor(3);
+
+        const max = Math.max(1, ...lead);
+        const chart = this.createChart(days.length, max);
+        const firstDay = days[0].getTime();
+        const dayIndex = date => {
+            const day = new Date(date);
+            day.setHours(0, 0, 0, 0);
+            return Math.round((day.getTime() - firstDay) / (24 * 60 * 60 * 1000));
+        };
+
+        const point = (row, value, color, kind) => `
+            <circle cx="${chart.x(dayIndex(row.times.doneAt))}" cy="${chart.y(value)}" r="4" fill="${color}" fill-opacity="0.8">
+                <title>#${row.task.id} ${board.escapeHtml(row.task.title)}\n${kind}: ${this.formatDays(value)}</title>
+            </circle>`;
+        const points = rows.map(row => point(row, row.times.leadDays, leadColor, 'Lead time')).concat(
+            rows.filter(row => row.times.cycleDays !== null)
+                .map(row => point(row, row.times.cycleDays, cycleColor, 'Cycle time')));
+
+        // Cycle time percentiles as dashed lines across the plot
+        const lines = cycle.length > 0 ? percentiles.map(p => {
+            const value = this.getPercentile(cycle, p);
+            return `
+                <line class="chart-percentile" x1="${chart.left}" x2="${chart.left + chart.plotWidth}" y1="${chart.y(value)}" y2="${chart.y(value)}" stroke="${cycleColor}"></line>
+                <text class="chart-label" x="${chart.left + chart.plotWidth - 4}" y="${chart.y(value) - 4}" text-anchor="end">${p}%</text>
+            `;
+        }) : [];
+
+        const summary = (name, values) => `
+            <tr>
+                <td>${name}</td>
+                ${percentiles.map(p => `<td>${values.length > 0 ? this.formatDays(this.getPercentile(values, p)) : '—'}</td>`).join('')}
+            </tr>`;
+
+        container.innerHTML = `
+            <table class="report-table">
+                <thead>
+                    <tr><th>${rows.length} finished task${rows.length === 1 ? '' : 's'}</th>${percentiles.map(p => `<th>${p}th percentile</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${summary('Lead time', lead)}
+                    ${summary('Cycle time', cycle)}
+                </tbody>
+            </table>
+            ${this.renderLegend([
+                { label: 'Lead time (created → done)', color: leadColor },
+                { label: 'Cycle time (started → done)', color: cycleColor }
+            ])}
+            <svg class="report-chart" viewBox="0 0 ${chart.width} ${chart.height}" preserveAspectRatio="none">
+                ${chart.axes(days)}
+                ${lines.join('')}
+                ${points.join('')}
+            </svg>
+            <p class="report-note">85% of tasks were finished within the 85th percentile, so it makes a realistic delivery estimate for a new task.</p>
+            <table class="report-table">
+                <thead>
+                    <tr><th>Task</th><th>Finished</th><th>Lead time</th><th>Cycle time</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.slice().reverse().map(row => `
+                        <tr>
+                            <td><a href="#" class="report-task-link" data-task-id="${row.task.id}">#${row.task.id} ${board.escapeHtml(row.task.title)}</a></td>
+                            <td>${board.formatTaskDate(row.times.doneAt)}</td>
+                            <td>${this.formatDays(row.times.leadDays)}</td>
+                            <td>${row.times.cycleDays === null ? '—' : this.formatDays(row.times.cycleDays)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Nearest-rank percentile (p in 0..100) of a list of numbers
+    getPercentile(values, p) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+    }
+
+    formatDays(days) {
+        if (days < 1) return `${Math.round(days * 24)}h`;
+        return `${days.toFixed(1)}d`;
+    }
+
+    // ========== MILESTONE BURNDOWN / BURNUP ==========
+
+    renderBurnInputs() {
+        const board = this.kanbanBoard;
+        const milestones = this.getMilestones();
+        return `
+            <div class="form-group">
+                <label for="report-burn-milestone">Milestone</label>
+                <select id="report-burn-milestone">
+                    ${milestones.length === 0 ? '<option value="">No milestones</option>' : ''}
+                    ${milestones.map(ms => `<option value="${board.escapeHtml(ms.name)}">${board.escapeHtml(ms.name)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="report-burn-unit">Measure</label>
+                <select id="report-burn-unit">
+                    <option value="tasks">Tasks</option>
+                    <option value="points">Estimate points</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="report-burn-due">Due date</label>
+                <input type="date" id="report-burn-due" value="${milestones.length > 0 ? milestones[0].dueOn : ''}">
+            </div>
+        `;
+    }
+
+    // Keep the due date in step with the chosen milestone, and add GitHub milestones once loaded
+    setupBurnInputs() {
+        const select = document.getElementById('report-burn-milestone');
+        const due = document.getElementById('report-burn-due');
+        if (!select || !due) return;
+
+        select.addEventListener('change', () => {
+            const milestone = this.getMilestones().find(ms => ms.name === select.value);
+            due.value = milestone ? milestone.dueOn : '';
+        });
+
+        if (this.githubMilestones === null) {
+            this.loadGithubMilestones().then(() => {
+                if (this.currentReport !== 'burn') return;
+                const current = select.value;
+                this.renderControls();
+                const updated = document.getElementById('report-burn-milestone');
+                if (updated && current && [...updated.options].some(o => o.value === current)) {
+                    updated.value = current;
+                    updated.dispatchEvent(new Event('change'));
+                } else {
+                    this.render();
+                }
+            });
+        }
+    }
+
+    // Open milestones of the selected GitHub repository (the ones the task modal offers)
+    async loadGithubMilestones() {
+        this.githubMilestones = [];
+        const ui = window.githubBoardsUI;
+        if (!ui || !ui.githubBoards.isConnected()) return;
+        const repo = ui.githubBoards.getSelectedRepo();
+        if (!repo) return;
+
+        try {
+            const milestones = await ui.githubBoards.api.getRepoMilestones(repo.owner.login, repo.name);
+            this.githubMilestones = milestones.filter(ms => ms && typeof ms === 'object');
+        } catch (error) {
+            console.warn('Failed to load milestones for reports:', error);
+        }
+    }
+
+    // [{name, dueOn, createdAt}] from GitHub plus every milestone tasks reference, by name
+    getMilestones() {
+        const board = this.kanbanBoard;
+        const milestones = new Map();
+        const add = (milestone) => {
+            const name = board.getMilestoneDisplayName(milestone);
+            if (!name) return;
+            const info = typeof milestone === 'object' ? milestone : {};
+            const dueOn = info.due_on || info.dueOn || info.dueDate || '';
+            const existing = milestones.get(name);
+            milestones.set(name, {
+                name: name,
+                dueOn: (existing && existing.dueOn) || (dueOn ? board.formatDateOnly(new Date(dueOn)) : ''),
+                createdAt: (existing && existing.createdAt) || info.created_at || null
+            });
+        };
+
+        (this.githubMilestones || []).forEach(add);
+        board.getKnownMilestones().forEach(add);
+        board.tasks.forEach(task => (task.history || []).forEach(entry => {
+            if (entry.field === 'milestone') {
+                add(entry.oldValue);
+                add(entry.newValue);
+            }
+        }));
+        return [...milestones.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // When a task first joined a milestone, or null if it never did
+    getMilestoneJoinedAt(task, name) {
+        const board = this.kanbanBoard;
+        const entries = (task.history || []).filter(entry => entry.field === 'milestone');
+        if (entries.length === 0) {
+            return board.getMilestoneDisplayName(task.milestone) === name ? new Date(task.createdAt) : null;
+        }
+        if (board.getMilestoneDisplayName(entries[0].oldValue) === name) return new Date(task.createdAt);
+        const joined = entries.find(entry => board.getMilestoneDisplayName(entry.newValue) === name);
+        return joined ? new Date(joined.timestamp) : null;
+    }
+
+    // Scope and completed work of a milestone at the end of each day up to today
+    getBurnData(name, unit, days) {
+        const board = this.kanbanBoard;
+        const done = board.getDoneStatus();
+        const now = Date.now();
+        const weight = task => unit === 'points' ? board.getEstimateValue(task.estimate) : 1;
+
+        return days.filter(day => day.getTime() <= now).map(day => {
+            const end = this.endOfDay(day);
+            let scope = 0;
+            let completed = 0;
+            board.tasks.forEach(task => {
+                if (board.getMilestoneAt(task, end) !== name) return;
+                const status = board.getStatusAt(task, end);
+                if (!status) return;
+                scope += weight(task);
+                if (status === done) completed += weight(task);
+            });
+            return { date: day, scope: scope, completed: completed, remaining: scope - completed };
+        });
+    }
+
+    renderBurnCharts(container) {
+        const board = this.kanbanBoard;
+        const name = document.getElementById('report-burn-milestone')?.value || '';
+        const unit = document.getElementById('report-burn-unit')?.value || 'tasks';
+        const dueOn = document.getElementById('report-burn-due')?.value || '';
+        const milestone = this.getMilestones().find(ms => ms.name === name);
+        if (!milestone) {
+            container.innerHTML = '<p class="message-empty">No milestones yet. Set a milestone on tasks or connect a GitHub repository.</p>';
+            return;
+        }
+
+        // From the first day work was in the milestone until the due date or today, whichever is later
+        const joined = board.tasks.map(task => this.getMilestoneJoinedAt(task, name)).filter(Boolean);
+        if (milestone.createdAt) joined.push(new Date(milestone.createdAt));
+        const today = new Date();
+        const start = joined.length > 0 ? new Date(Math.min(...joined)) : today;
+        const due = dueOn ? board.parseDateOnly(dueOn) : null;
+        const days = this.getDays(start, due && due > today ? due : today);
+
+        const data = this.getBurnData(name, unit, days);
+        const latest = data[data.length - 1] || { scope: 0, completed: 0, remaining: 0 };
+        const format = value => unit === 'points' ? `${Math.round(value * 10) / 10} pts` : `${value} task${value === 1 ? '' : 's'}`;
+        const dueIndex = due ? Math.round((due - days[0]) / (24 * 60 * 60 * 1000)) : -1;
+        const max = Math.max(1, ...data.map(point => point.scope));
+        const burnColor = this.getSeriesColor(4);
+        const upColor = this.getSeriesColor(5);
+        const scopeColor = this.getSeriesColor(1);
+
+        // Burndown: remaining work, ideally reaching zero on the due date
+        const down = this.createChart(days.length, max);
+        const downIdeal = dueIndex >= 0
+            ? `<line class="chart-ideal" x1="${down.x(0)}" y1="${down.y(latest.scope)}" x2="${down.x(dueIndex)}" y2="${down.y(0)}"></line>`
+            : '';
+
+        // Burnup: completed work climbing towards the (possibly growing) scope
+        const up = this.createChart(days.length, max);
+        const upIdeal = dueIndex >= 0
+            ? `<line class="chart-ideal" x1="${up.x(0)}" y1="${up.y(0)}" x2="${up.x(dueIndex)}" y2="${up.y(latest.scope)}"></line>`
+            : '';
+
+        const daysLeft = due ? Math.ceil((due - board.parseDateOnly(board.formatDateOnly(today))) / (24 * 60 * 60 * 1000)) : null;
+        container.innerHTML = `
+            <div class="report-summary">
+                <span><strong>${format(latest.completed)}</strong> done</span>
+                <span><strong>${format(latest.remaining)}</strong> remaining</span>
+                <span>${due ? `Due ${board.formatTaskDate(dueOn)} (${daysLeft >= 0 ? `${daysLeft} day${daysLeft === 1 ? '' : 's'} left` : `${-daysLeft} day${daysLeft === -1 ? '' : 's'} overdue`})` : 'No due date: set one to draw the ideal line'}</span>
+            </div>
+            <h4 class="report-heading">Burndown</h4>
+            ${this.renderLegend([{ label: 'Remaining', color: burnColor }, { label: 'Ideal', color: 'var(--text-secondary)' }])}
+            <svg class="report-chart" viewBox="0 0 ${down.width} ${down.height}" preserveAspectRatio="none">
+                ${down.axes(days)}
+                ${downIdeal}
+                ${this.renderLine(down, data.map(point => point.remaining), burnColor)}
+            </svg>
+            <h4 class="report-heading">Burnup</h4>
+            ${this.renderLegend([{ label: 'Completed', color: upColor }, { label: 'Scope', color: scopeColor }, { label: 'Ideal', color: 'var(--text-secondary)' }])}
+            <svg class="report-chart" viewBox="0 0 ${up.width} ${up.height}" preserveAspectRatio="none">
+                ${up.axes(days)}
+                ${upIdeal}
+                ${this.renderLine(up, data.map(point => point.scope), scopeColor)}
+                ${this.renderLine(up, data.map(point => point.completed), upColor)}
+            </svg>
+            <p class="report-note">Scope counts tasks in the milestone on each day, so tasks added or removed later show up as steps in the scope line.${unit === 'points' ? ' Tasks without an estimate count as 0 points.' : ''}</p>
+        `;
+    }
+
+    // ========== WORKLOAD ==========
+
+    renderWorkloadInputs() {
+        const unit = localStorage.getItem('kanban-workload-unit') || 'tasks';
+        const capacity = localStorage.getItem('kanban-workload-capacity') || ReportsManager.DEFAULT_CAPACITY;
+        return `
+            <div class="form-group">
+                <label for="report-load-unit">Capacity in</label>
+                <select id="report-load-unit">
+                    <option value="tasks"${unit === 'tasks' ? ' selected' : ''}>Open tasks</option>
+                    <option value="points"${unit === 'points' ? ' selected' : ''}>Estimate points</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="report-load-capacity">Capacity per person</label>
+                <input type="number" id="report-load-capacity" min="1" step="any" value="${parseFloat(capacity) || ReportsManager.DEFAULT_CAPACITY}">
+            </div>
+        `;
+    }
+
+    // Open (not done, not archived) work of every user
+    getWorkloadData() {
+        const board = this.kanbanBoard;
+        const users = window.userManager ? window.userManager.users || [] : [];
+        return users.map(user => {
+            const tasks = window.userManager.getUserAssignedTasks(user.id)
+                .filter(task => !task.archived && !board.isTaskDone(task));
+            const byStatus = {};
+            const byPriority = {};
+            tasks.forEach(task => {
+                byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+                const priority = task.priority || 'medium';
+                byPriority[priority] = (byPriority[priority] || 0) + 1;
+            });
+            return {
+                user: user,
+                tasks: tasks.length,
+                points: tasks.reduce((sum, task) => sum + board.getEstimateValue(task.estimate), 0),
+                overdue: tasks.filter(task => board.getDueDateClass(task) === 'past-due').length,
+                byStatus: byStatus,
+                byPriority: byPriority
+            };
+        });
+    }
+
+    renderWorkload(container) {
+        const board = this.kanbanBoard;
+        const unitInput = document.getElementById('report-load-unit');
+        const capacityInput = document.getElementById('report-load-capacity');
+        const unit = unitInput ? unitInput.value : 'tasks';
+        const capacity = parseFloat(capacityInput?.value) || ReportsManager.DEFAULT_CAPACITY;
+        localStorage.setItem('kanban-workload-unit', unit);
+        localStorage.setItem('kanban-workload-capacity', String(capacity));
+
+        const rows = this.getWorkloadData();
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="message-empty">Add users to see their workload</p>';
+            return;
+        }
+
+        const load = row => unit === 'points' ? row.points : row.tasks;
+        rows.sort((a, b) => load(b) - load(a) || b.overdue - a.overdue);
+        const overloaded = rows.filter(row => load(row) > capacity).length;
+        const unassigned = board.tasks.filter(task => !task.assignee && !task.archived && !board.isTaskDone(task)).length;
+        const columns = board.columns.filter(status => status !== board.getDoneStatus());
+        const priorities = ['urgent', 'high', 'medium', 'low'];
+        const count = value => value ? value : '<span class="report-zero">0</span>';
+
+        container.innerHTML = `
+            <div class="report-summary">
+                <span><strong>${overloaded}</strong> of ${rows.length} over capacity</span>
+                <span><strong>${unassigned}</strong> open task${unassigned === 1 ? '' : 's'} unassigned</span>
+            </div>
+            <table class="report-table workload-table">
+                <thead>
+                    <tr>
+                        <th>User</th>
+                        <th>Load</th>
+                        <th>Tasks</th>
+                        <th>Points</th>
+                        <th>Overdue</th>
+                        ${columns.map(status => `<th>${board.escapeHtml(board.getColumnName(status))}</th>`).join('')}
+                        ${priorities.map(priority => `<th>${priority.charAt(0).toUpperCase() + priority.slice(1)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const over = load(row) > capacity;
+                        const percent = Math.round((load(row) / capacity) * 100);
+                        return `
+                            <tr class="${over ? 'over-capacity' : ''}" title="${over ? 'Over capacity' : ''}">
+                                <td>${over ? '<i class="fas fa-exclamation-triangle"></i> ' : ''}${board.escapeHtml(row.user.name || row.user.email || 'Unnamed User')}</td>
+                                <td>
+                                    <div class="workload-bar" title="${percent}% of capacity">
+                                        <div class="workload-bar-fill" style="width: ${Math.min(percent, 100)}%;"></div>
+                                    </div>
+                                </td>
+                                <td>${count(row.tasks)}</td>
+                                <td>${count(Math.round(row.points * 10) / 10)}</td>
+                                <td class="${row.overdue ? 'workload-overdue' : ''}">${count(row.overdue)}</td>
+                                ${columns.map(status => `<td>${count(row.byStatus[status])}</td>`).join('')}
+                                ${priorities.map(priority => `<td>${count(row.byPriority[priority])}</td>`).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            <p class="report-note">Counts open tasks (not done, not archived). Capacity is compared against ${unit === 'points' ? 'estimate points; tasks without an estimate count as 0' : 'the number of open tasks'}.</p>
+        `;
+    }
+
+    // ========== CHART HELPERS ==========
+
+    // Plot area and scales for a chart with pointCount points along x and values 0..max along y
+    createChart(pointCount, max) {
+        const width = 720;
+        const height = 320;
+        const left = 40;
+        const right = 12;
+        const top = 12;
+        const bottom = 28;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const step = pointCount > 1 ? plotWidth / (pointCount - 1) : plotWidth;
+
+        const chart = {
+            width, height, left, top, plotWidth, plotHeight, step,
+            x: i => left + (pointCount > 1 ? i * step : plotWidth / 2),
+            y: value => top + plotHeight - (value / max) * plotHeight,
+            // Gridlines with y values and a handful of date labels along x
+            axes: (days) => {
+                const ticks = [0, Math.round(max / 2), max].filter((v, i, all) => all.indexOf(v) === i);
+                const grid = ticks.map(value => `
+                    <line class="chart-grid" x1="${left}" x2="${width - right}" y1="${chart.y(value)}" y2="${chart.y(value)}"></line>
+                    <text class="chart-label" x="${left - 6}" y="${chart.y(value) + 4}" text-anchor="end">${value}</text>
+                `);
+                const labelEvery = Math.max(1, Math.ceil(days.length / 6));
+                const dates = days.map((day, i) => (i % labelEvery === 0 || i === days.length - 1)
+                    ? `<text class="chart-label" x="${chart.x(i)}" y="${height - 8}" text-anchor="middle">${day.toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}</text>`
+                    : '');
+                return grid.join('') + dates.join('');
+            }
+        };
+        return chart;
+    }
+
+    // Polyline through values[i] at x(i)
+    renderLine(chart, values, color) {
+        const points = values.map((value, i) => `${chart.x(i)},${chart.y(value)}`).join(' ');
+        return `<polyline class="chart-line" points="${points}" stroke="${color}"></polyline>`;
+    }
+
+    renderLegend(items) {
+        return `<div class="report-legend">${items.map(item => `
+            <span class="report-legend-item"><span class="report-legend-swatch" style="background: ${item.color};"></span>${this.kanbanBoard.escapeHtml(item.label)}</span>
+        `).join('')}</div>`;
+    }
+
+    setupEventListeners() {
+        document.getElementById('reports-btn')?.addEventListener('click', () => this.open());
+        document.getElementById('reports-modal-close')?.addEventListener('click', () => this.close());
+        document.getElementById('reports-close-btn')?.addEventListener('click', () => this.close());
+
+        document.querySelectorAll('.report-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.switchReport(tab.dataset.report));
+        });
+
+        const modal = document.getElementById('reports-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target.id === 'reports-modal') {
+                    this.close();
+                }
+            });
+        }
+    }
+}
+
+// Series colors (columns, users, ...) in the board's palette
+ReportsManager.COLORS = ['#6e7681', '#00d9ff', '#a371f7', '#ffc107', '#ff006e', '#00ff41', '#f78166', '#3fb950'];
+
+// Workload capacity per person when none is set
+ReportsManager.DEFAULT_CAPACITY = 8;
+
+// Initialize reports when the board is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const checkForBoard = setInterval(() => {
+        if (window.kanbanBoard) {
+            window.reports = new ReportsManager(window.kanbanBoard);
+            clearInterval(checkForBoard);
+        }
+    }, 100);
+});
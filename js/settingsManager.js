@@ -6,11 +6,12 @@ class SettingsManager {
         this.kanbanBoard = null;
         this.userManager = null;
         this.boardManager = null;
-        this.panelConfig = {
-            count: 4,
-            names: ['Backlog', 'To Do', 'In Progress', 'Done']
-        };
+        this.panelConfig = KanbanBoard.normalizePanelConfig(null);
+        this.columnDraft = []; // Columns being edited in the Panels tab, saved with the panel config
         this.dateFormat = 'uk'; // Default to UK format (DD/MM/YYYY)
+        this.dependencyMode = 'warn'; // 'warn' or 'block' when starting a task with open blockers
+        this.autoArchiveDays = 0; // Archive tasks done for more than N days (0 = off)
+        this.estimateScale = 'fibonacci'; // 'fibonacci', 'tshirt' or 'hours' (see KanbanBoard.ESTIMATE_SCALES)
         this.autoSaveEnabled = true; // Enable auto-save by default
         this.autoSaveInterval = null;
         this.iconStyle = localStorage.getItem('kanban-icon-style') || 'emoji'; // 'emoji' or 'fontawesome'
@@ -31,6 +32,8 @@ class SettingsManager {
         this.loadIconStyle();
         this.setupEventListeners();
         this.setupLabelEventListeners();
+        this.setupTemplateEventListeners();
+        this.setupFieldEventListeners();
         // Update auto-save button state to match current setting
         this.updateAutoSaveButton();
         // Start auto-save if enabled
@@ -66,10 +69,14 @@ class SettingsManager {
             'reset-labels-btn': 'undo',
             'label-save-btn': 'check',
             'label-cancel-btn': 'close',
+            'add-template-btn': 'plus',
+            'reset-templates-btn': 'undo',
+            'add-field-btn': 'plus',
             'settings-modal-close': 'close',
             'settings-cancel-btn': 'close',
             'create-board-btn': 'plus',
             'save-panels-config': 'check',
+            'add-column-btn': 'plus',
             'save-appearance-btn': 'check',
             'github-import-users-btn': 'user'
         };
@@ -173,20 +180,39 @@ class SettingsManager {
         });
 
         // Panels tab
-        document.getElementById('panel-count')?.addEventListener('change', () => {
-            this.panelConfig.count = parseInt(document.getElementById('panel-count').value);
-            this.renderPanelConfig();
+        document.getElementById('add-column-btn')?.addEventListener('click', () => {
+            this.syncColumnDraft();
+            // New columns go in front of the done column so work flows into it
+            const doneIndex = this.columnDraft.findIndex(column => column.done);
+            const index = doneIndex >= 0 ? doneIndex : this.columnDraft.length;
+            this.columnDraft.splice(index, 0, { id: null, name: '', wipLimit: 0, done: false });
+            this.renderColumnRows();
+            const inputs = document.querySelectorAll('#panel-names-config .panel-name-input');
+            if (inputs[index]) inputs[index].focus();
         });
 
         document.getElementById('save-panels-config')?.addEventListener('click', () => {
-            const inputs = document.querySelectorAll('#panel-names-config input');
-            inputs.forEach((input, index) => {
-                this.panelConfig.names[index] = input.value.trim() || `Column ${index + 1}`;
-            });
+            if (!this.applyColumnDraft()) return;
+            const wipModeSelect = document.getElementById('wip-mode');
+            if (wipModeSelect) {
+                this.panelConfig.wipMode = wipModeSelect.value;
+            }
             const dateFormatSelect = document.getElementById('date-format');
             if (dateFormatSelect) {
                 this.dateFormat = dateFormatSelect.value;
             }
+            const dependencyModeSelect = document.getElementById('dependency-mode');
+            if (dependencyModeSelect) {
+                this.dependencyMode = dependencyModeSelect.value;
+            }
+            const autoArchiveInput = document.getElementById('auto-archive-days');
+            if (autoArchiveInput) {
+                this.autoArchiveDays = Math.max(parseInt(autoArchiveInput.value) || 0, 0);
+            }
+            const estimateScaleSelect = document.getElementById('estimate-scale');
+            if (estimateScaleSelect) {
+                this.estimateScale = estimateScaleSelect.value;
+            }
             this.savePanelConfig();
             this.showNotification('Panel configuration saved', 'success');
         });
@@ -483,61 +509,226 @@ class SettingsManager {
     loadPanelConfig() {
         const savedConfig = localStorage.getItem('kanban-panel-config');
         if (savedConfig) {
-            this.panelConfig = JSON.parse(savedConfig);
+            this.panelConfig = KanbanBoard.normalizePanelConfig(JSON.parse(savedConfig));
         }
         // Load date format
         const savedDateFormat = localStorage.getItem('kanban-date-format');
         if (savedDateFormat) {
             this.dateFormat = savedDateFormat;
         }
+        // Load dependency mode
+        const savedDependencyMode = localStorage.getItem('kanban-dependency-mode');
+        if (savedDependencyMode) {
+            this.dependencyMode = savedDependencyMode;
+        }
+        // Load auto-archive days
+        this.autoArchiveDays = parseInt(localStorage.getItem('kanban-auto-archive-days')) || 0;
+        // Load estimate scale
+        this.estimateScale = localStorage.getItem('kanban-estimate-scale') || 'fibonacci';
     }
 
     savePanelConfig() {
         localStorage.setItem('kanban-panel-config', JSON.stringify(this.panelConfig));
         localStorage.setItem('kanban-date-format', this.dateFormat);
+        localStorage.setItem('kanban-dependency-mode', this.dependencyMode);
+        localStorage.setItem('kanban-auto-archive-days', this.autoArchiveDays);
+        localStorage.setItem('kanban-estimate-scale', this.estimateScale);
         this.applyPanelConfig();
+        if (window.kanbanBoard) {
+            window.kanbanBoard.autoArchiveDoneTasks();
+        }
     }
 
+    // The board reads the saved config (and rebuilds its columns) on render
     applyPanelConfig() {
-        if (this.kanbanBoard) {
-            this.kanbanBoard.columns = this.getColumnIds();
-            this.kanbanBoard.renderBoard();
+        const board = this.kanbanBoard || window.kanbanBoard;
+        if (board) {
+            board.renderBoard();
         }
     }
 
     getColumnIds() {
-        const ids = [];
-        for (let i = 0; i < this.panelConfig.count; i++) {
-            ids.push(`column-${i}`);
+        return this.panelConfig.columns.map(column => column.id);
+    }
+
+    // Id for a new column from its name ("Code Review" -> code-review); ids never change afterwards
+    generateColumnId(name, takenIds) {
+        const base = name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'column';
+        let id = base;
+        let suffix = 2;
+        while (takenIds.includes(id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    // Copy the name, WIP and done inputs back into the draft before it is re-rendered or saved
+    syncColumnDraft() {
+        document.querySelectorAll('#panel-names-config .panel-config-row').forEach((row, index) => {
+            const column = this.columnDraft[index];
+            if (!column) return;
+            column.name = row.querySelector('.panel-name-input').value.trim();
+            column.wipLimit = Math.max(parseInt(row.querySelector('.panel-wip-input').value) || 0, 0);
+            column.done = row.querySelector('.panel-done-input').checked;
+        });
+    }
+
+    // Save the edited columns. Tasks in removed columns have to be moved first; returns false
+    // if the user cancels that, leaving the configuration unchanged.
+    applyColumnDraft() {
+        this.syncColumnDraft();
+        const draft = this.columnDraft.map((column, index) => ({
+            ...column,
+            name: column.name || `Column ${index + 1}`
+        }));
+
+        const takenIds = draft.map(column => column.id).filter(Boolean)
+            .concat(this.panelConfig.columns.map(column => column.id));
+        draft.forEach(column => {
+            if (!column.id) {
+                column.id = this.generateColumnId(column.name, takenIds);
+                takenIds.push(column.id);
+            }
+        });
+
+        const board = this.kanbanBoard || window.kanbanBoard;
+        const removed = this.panelConfig.columns.filter(column => !draft.some(c => c.id === column.id));
+        const migrations = [];
+        for (const column of removed) {
+            const count = board ? board.tasks.filter(task => task.status === column.id).length : 0;
+            if (count === 0) continue;
+
+            const choices = draft.map((c, index) => `${index + 1}. ${c.name}`).join('\n');
+            const answer = prompt(`"${column.name}" still has ${count} task${count === 1 ? '' : 's'} (including archived). Move them to which column?\n\n${choices}`, '1');
+            if (answer === null) {
+                this.showNotification('Columns not saved', 'info');
+                return false;
+            }
+            const target = draft[parseInt(answer) - 1] ||
+                draft.find(c => c.name.toLowerCase() === answer.trim().toLowerCase());
+            if (!target) {
+                this.showNotification(`"${answer}" is not one of the columns`, 'error');
+                return false;
+            }
+            migrations.push({ from: column, to: target, count: count });
         }
-        return ids;
+
+        migrations.forEach(({ from, to }) => board.moveTasksToColumn(from.id, to.id));
+
+        this.panelConfig = KanbanBoard.normalizePanelConfig({ ...this.panelConfig, columns: draft });
+        this.columnDraft = this.panelConfig.columns.map(column => ({ ...column }));
+        this.renderColumnRows();
+
+        migrations.forEach(({ from, to, count }) => {
+            this.showNotification(`Moved ${count} task${count === 1 ? '' : 's'} from "${from.name}" to "${to.name}"`, 'info');
+        });
+        return true;
+    }
+
+    // One row per column: name, WIP limit, done marker, move up/down and remove
+    renderColumnRows() {
+        const container = document.getElementById('panel-names-config');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.columnDraft.forEach((column, index) => {
+            const row = document.createElement('div');
+            row.className = 'panel-config-row';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'panel-name-input';
+            input.value = column.name;
+            input.placeholder = `Column ${index + 1} name`;
+            row.appendChild(input);
+
+            const wipInput = document.createElement('input');
+            wipInput.type = 'number';
+            wipInput.min = '0';
+            wipInput.className = 'panel-wip-input';
+            wipInput.value = column.wipLimit || '';
+            wipInput.placeholder = 'No limit';
+            wipInput.title = 'WIP limit (leave empty for no limit)';
+            row.appendChild(wipInput);
+
+            const doneLabel = document.createElement('label');
+            doneLabel.className = 'panel-done-label';
+            doneLabel.title = 'Tasks in this column count as done';
+            doneLabel.innerHTML = `<input type="radio" name="panel-done-column" class="panel-done-input"${column.done ? ' checked' : ''}> Done`;
+            row.appendChild(doneLabel);
+
+            const actions = [
+                { icon: 'fa-arrow-up', title: 'Move left', disabled: index === 0, run: () => this.moveDraftColumn(index, -1) },
+                { icon: 'fa-arrow-down', title: 'Move right', disabled: index === this.columnDraft.length - 1, run: () => this.moveDraftColumn(index, 1) },
+                { icon: 'fa-trash', title: 'Remove column', disabled: this.columnDraft.length === 1, run: () => this.removeDraftColumn(index), className: 'delete-role-btn' }
+            ];
+            actions.forEach(action => {
+                const btn = document.createElement('button');
+                btn.className = `btn btn-sm ${action.className || ''}`.trim();
+                btn.title = action.title;
+                btn.disabled = action.disabled;
+                btn.innerHTML = `<i class="fas ${action.icon}"></i>`;
+                btn.addEventListener('click', action.run);
+                row.appendChild(btn);
+            });
+
+            container.appendChild(row);
+        });
+    }
+
+    moveDraftColumn(index, step) {
+        this.syncColumnDraft();
+        const target = index + step;
+        if (target < 0 || target >= this.columnDraft.length) return;
+        const [column] = this.columnDraft.splice(index, 1);
+        this.columnDraft.splice(target, 0, column);
+        this.renderColumnRows();
+    }
+
+    // Removal only takes effect on save, where tasks in the column are migrated
+    removeDraftColumn(index) {
+        this.syncColumnDraft();
+        if (this.columnDraft.length <= 1) return;
+        const [removed] = this.columnDraft.splice(index, 1);
+        if (removed.done) this.columnDraft[this.columnDraft.length - 1].done = true;
+        this.renderColumnRows();
     }
 
     renderPanelConfig() {
-        const panelCountSelect = document.getElementById('panel-count');
-        const panelNamesContainer = document.getElementById('panel-names-config');
         const dateFormatSelect = document.getElementById('date-format');
-        
-        if (panelCountSelect) {
-            panelCountSelect.value = this.panelConfig.count;
-        }
-
-        if (panelNamesContainer) {
-            panelNamesContainer.innerHTML = '';
-            for (let i = 0; i < this.panelConfig.count; i++) {
-                const input = document.createElement('input');
-                input.type = 'text';
-                input.value = this.panelConfig.names[i] || `Column ${i + 1}`;
-                input.dataset.index = i;
-                input.placeholder = `Column ${i + 1} name`;
-                panelNamesContainer.appendChild(input);
-            }
+
+        // Start editing from the saved columns
+        this.columnDraft = this.panelConfig.columns.map(column => ({ ...column }));
+        this.renderColumnRows();
+
+        // Set WIP mode dropdown
+        const wipModeSelect = document.getElementById('wip-mode');
+        if (wipModeSelect) {
+            wipModeSelect.value = this.panelConfig.wipMode || 'soft';
         }
         
         // Set date format dropdown
         if (dateFormatSelect) {
             dateFormatSelect.value = this.dateFormat;
         }
+
+        // Set dependency mode dropdown
+        const dependencyModeSelect = document.getElementById('dependency-mode');
+        if (dependencyModeSelect) {
+            dependencyModeSelect.value = this.dependencyMode;
+        }
+
+        // Set auto-archive days
+        const autoArchiveInput = document.getElementById('auto-archive-days');
+        if (autoArchiveInput) {
+            autoArchiveInput.value = this.autoArchiveDays || '';
+        }
+
+        // Set estimate scale
+        const estimateScaleSelect = document.getElementById('estimate-scale');
+        if (estimateScaleSelect) {
+            estimateScaleSelect.value = this.estimateScale;
+        }
     }
 
     // Settings Modal
@@ -963,6 +1154,376 @@ class SettingsManager {
     }
 
 
+    // ========== TASK TEMPLATES ==========
+
+    // Starter templates for tasks with a fixed structure
+    static get DEFAULT_TEMPLATES() {
+        return [
+            {
+                id: 'bug-report',
+                name: 'Bug report',
+                titlePattern: 'Bug: {title}',
+                description: '**Steps to reproduce**\n1. \n\n**Expected**\n\n**Actual**\n\n**Environment**\n',
+                labels: ['bug'],
+                priority: 'high',
+                checklist: ['Reproduce', 'Write failing test', 'Fix', 'Verify on staging'],
+                assigneeRole: 'QA'
+            },
+            {
+                id: 'release-checklist',
+                name: 'Release checklist',
+                titlePattern: 'Release {title} ({date})',
+                description: 'Release notes:\n',
+                labels: [],
+                priority: 'medium',
+                checklist: ['Freeze main branch', 'Update changelog', 'Bump version', 'Tag release', 'Deploy', 'Announce'],
+                assigneeRole: 'Manager'
+            },
+            {
+                id: 'onboarding',
+                name: 'Onboarding',
+                titlePattern: 'Onboard {title}',
+                description: 'Start date:\nBuddy:\n',
+                labels: [],
+                priority: 'medium',
+                checklist: ['Create accounts', 'Share documentation', 'Set up development environment', 'Pair on a first task'],
+                assigneeRole: 'Manager'
+            }
+        ];
+    }
+
+    loadTemplates() {
+        try {
+            const stored = localStorage.getItem('kanban-templates');
+            if (stored) return JSON.parse(stored);
+        } catch (e) { /* ignore */ }
+        return SettingsManager.DEFAULT_TEMPLATES.map(t => ({ ...t }));
+    }
+
+    saveTemplates(templates) {
+        localStorage.setItem('kanban-templates', JSON.stringify(templates));
+    }
+
+    renderTemplatesList() {
+        const container = document.getElementById('templates-list');
+        if (!container) return;
+
+        const templates = this.loadTemplates();
+        container.innerHTML = '';
+
+        if (templates.length === 0) {
+            container.innerHTML = '<p class="empty-message">No templates defined yet.</p>';
+            return;
+        }
+
+        templates.forEach((template, index) => {
+            const item = document.createElement('div');
+            item.className = 'role-item template-item';
+
+            const details = [
+                template.titlePattern ? `Title: ${template.titlePattern}` : '',
+                template.priority ? `Priority: ${template.priority}` : '',
+                (template.labels || []).length ? `Labels: ${template.labels.join(', ')}` : '',
+                (template.checklist || []).length ? `${template.checklist.length} checklist items` : '',
+                template.assigneeRole ? `Assignee: ${template.assigneeRole}` : ''
+            ].filter(Boolean).join(' · ');
+
+            item.innerHTML = `
+                <div class="role-name-container">
+                    <div class="template-item-name">${this.escapeHtml(template.name)}</div>
+                    <div class="template-item-details">${this.escapeHtml(details)}</div>
+                </div>
+                <div class="role-item-actions">
+                    <button class="btn btn-sm edit-template-btn" data-index="${index}" title="Edit"><i class="fas fa-pencil-alt"></i></button>
+                    <button class="btn btn-sm delete-role-btn delete-template-btn" data-index="${index}" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+
+            container.appendChild(item);
+        });
+
+        container.querySelectorAll('.edit-template-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openTemplateForm(parseInt(btn.dataset.index));
+            });
+        });
+
+        container.querySelectorAll('.delete-template-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const idx = parseInt(btn.dataset.index);
+                const templates = this.loadTemplates();
+                if (!confirm(`Delete template "${templates[idx].name}"?`)) return;
+                templates.splice(idx, 1);
+                this.saveTemplates(templates);
+                this.renderTemplatesList();
+                this.showNotification('Template deleted', 'info');
+            });
+        });
+    }
+
+    openTemplateForm(editIndex = null) {
+        const form = document.getElementById('template-form');
+        if (!form) return;
+
+        form.style.display = 'block';
+        form.dataset.editIndex = editIndex !== null ? editIndex : '';
+
+        // Roles for the default assignee
+        const roleSelect = document.getElementById('template-role-input');
+        roleSelect.innerHTML = '<option value="">No default assignee</option>';
+        const roles = this.userManager ? this.userManager.getRoles() : [];
+        roles.forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = role;
+            roleSelect.appendChild(option);
+        });
+
+        const template = editIndex !== null ? this.loadTemplates()[editIndex] : {};
+        document.getElementById('template-name-input').value = template.name || '';
+        document.getElementById('template-title-input').value = template.titlePattern || '';
+        document.getElementById('template-description-input').value = template.description || '';
+        document.getElementById('template-labels-input').value = (template.labels || []).join(', ');
+        document.getElementById('template-priority-input').value = template.priority || 'medium';
+        document.getElementById('template-checklist-input').value = (template.checklist || []).join('\n');
+        roleSelect.value = template.assigneeRole || '';
+
+        document.getElementById('template-name-input').focus();
+    }
+
+    closeTemplateForm() {
+        const form = document.getElementById('template-form');
+        if (form) form.style.display = 'none';
+    }
+
+    saveTemplateForm() {
+        const form = document.getElementById('template-form');
+        const nameInput = document.getElementById('template-name-input');
+        if (!form || !nameInput) return;
+
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showNotification('Template name is required', 'error');
+            nameInput.focus();
+            return;
+        }
+
+        const templates = this.loadTemplates();
+        const editIndex = form.dataset.editIndex !== '' ? parseInt(form.dataset.editIndex) : null;
+        const duplicate = templates.findIndex(t => t.name.toLowerCase() === name.toLowerCase());
+        if (duplicate !== -1 && duplicate !== editIndex) {
+            this.showNotification('A template with that name already exists', 'error');
+            return;
+        }
+
+        const template = {
+            id: editIndex !== null ? templates[editIndex].id : `template-${Date.now()}`,
+            name: name,
+            titlePattern: document.getElementById('template-title-input').value.trim(),
+            description: document.getElementById('template-description-input').value,
+            labels: document.getElementById('template-labels-input').value
+                .split(',').map(l => l.trim()).filter(Boolean),
+            priority: document.getElementById('template-priority-input').value,
+            checklist: document.getElementById('template-checklist-input').value
+                .split('\n').map(line => line.trim()).filter(Boolean),
+            assigneeRole: document.getElementById('template-role-input').value
+        };
+
+        if (editIndex !== null && !isNaN(editIndex)) {
+            templates[editIndex] = template;
+            this.showNotification('Template updated', 'success');
+        } else {
+            templates.push(template);
+            this.showNotification('Template added', 'success');
+        }
+
+        this.saveTemplates(templates);
+        this.closeTemplateForm();
+        this.renderTemplatesList();
+    }
+
+    setupTemplateEventListeners() {
+        document.getElementById('add-template-btn')?.addEventListener('click', () => {
+            this.openTemplateForm(null);
+        });
+
+        document.getElementById('reset-templates-btn')?.addEventListener('click', () => {
+            if (confirm('Reset templates to the defaults? This will replace all current templates.')) {
+                this.saveTemplates(SettingsManager.DEFAULT_TEMPLATES.map(t => ({ ...t })));
+                this.renderTemplatesList();
+                this.closeTemplateForm();
+                this.showNotification('Templates reset to defaults', 'success');
+            }
+        });
+
+        document.getElementById('template-save-btn')?.addEventListener('click', () => {
+            this.saveTemplateForm();
+        });
+
+        document.getElementById('template-cancel-btn')?.addEventListener('click', () => {
+            this.closeTemplateForm();
+        });
+    }
+
+    // Custom fields belong to the board, so they are managed through KanbanBoard.customFields
+    getCustomFields() {
+        return window.kanbanBoard ? window.kanbanBoard.customFields : null;
+    }
+
+    renderFieldsList() {
+        const container = document.getElementById('fields-list');
+        const customFields = this.getCustomFields();
+        if (!container || !customFields) return;
+
+        container.innerHTML = '';
+
+        if (customFields.fields.length === 0) {
+            container.innerHTML = '<p class="empty-message">No custom fields defined yet.</p>';
+            return;
+        }
+
+        customFields.fields.forEach(field => {
+            const item = document.createElement('div');
+            item.className = 'role-item template-item';
+
+            const details = [
+                CustomFields.TYPES[field.type] || field.type,
+                (field.options || []).length ? `Options: ${field.options.join(', ')}` : '',
+                `Filter: ${customFields.getFilterKey(field)}:`,
+                field.showOnCard ? 'Shown on cards' : ''
+            ].filter(Boolean).join(' · ');
+
+            item.innerHTML = `
+                <div class="role-name-container">
+                    <div class="template-item-name">${this.escapeHtml(field.name)}</div>
+                    <div class="template-item-details">${this.escapeHtml(details)}</div>
+                </div>
+                <div class="role-item-actions">
+                    <button class="btn btn-sm edit-field-btn" data-id="${field.id}" title="Edit"><i class="fas fa-pencil-alt"></i></button>
+                    <button class="btn btn-sm delete-role-btn delete-field-btn" data-id="${field.id}" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            container.appendChild(item);
+        });
+
+        container.querySelectorAll('.edit-field-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.openFieldForm(btn.dataset.id);
+            });
+        });
+
+        container.querySelectorAll('.delete-field-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const field = customFields.getField(btn.dataset.id);
+                if (!field) return;
+                if (!confirm(`Delete field "${field.name}"? Its values are hidden on all tasks.`)) return;
+                customFields.deleteField(field.id);
+                this.renderFieldsList();
+                this.showNotification('Field deleted', 'info');
+            });
+        });
+    }
+
+    openFieldForm(fieldId = null) {
+        const form = document.getElementById('field-form');
+        const customFields = this.getCustomFields();
+        if (!form || !customFields) return;
+
+        form.style.display = 'block';
+        form.dataset.fieldId = fieldId || '';
+
+        const typeSelect = document.getElementById('field-type-input');
+        typeSelect.innerHTML = Object.entries(CustomFields.TYPES)
+            .map(([type, name]) => `<option value="${type}">${name}</option>`).join('');
+
+        const field = (fieldId && customFields.getField(fieldId)) || {};
+        document.getElementById('field-name-input').value = field.name || '';
+        typeSelect.value = field.type || 'text';
+        document.getElementById('field-options-input').value = (field.options || []).join(', ');
+        document.getElementById('field-show-on-card-input').checked = !!field.showOnCard;
+        this.updateFieldOptionsVisibility();
+
+        document.getElementById('field-name-input').focus();
+    }
+
+    closeFieldForm() {
+        const form = document.getElementById('field-form');
+        if (form) form.style.display = 'none';
+    }
+
+    // Options only apply to select fields
+    updateFieldOptionsVisibility() {
+        const type = document.getElementById('field-type-input')?.value;
+        const group = document.getElementById('field-options-group');
+        if (group) group.style.display = type === 'single-select' || type === 'multi-select' ? '' : 'none';
+    }
+
+    saveFieldForm() {
+        const form = document.getElementById('field-form');
+        const nameInput = document.getElementById('field-name-input');
+        const customFields = this.getCustomFields();
+        if (!form || !nameInput || !customFields) return;
+
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showNotification('Field name is required', 'error');
+            nameInput.focus();
+            return;
+        }
+
+        const fieldId = form.dataset.fieldId || null;
+        const type = document.getElementById('field-type-input').value;
+
+        // The filter key is derived from the name, so it has to be unique and not shadow a built-in key
+        const filterKey = customFields.getFilterKey({ name });
+        if (!filterKey || TaskFilter.KEYS.includes(filterKey)) {
+            this.showNotification(`"${name}" cannot be used as a field name`, 'error');
+            return;
+        }
+        const duplicate = customFields.getFieldByFilterKey(filterKey);
+        if (duplicate && duplicate.id !== fieldId) {
+            this.showNotification('A field with that name already exists', 'error');
+            return;
+        }
+
+        const options = document.getElementById('field-options-input').value
+            .split(',').map(o => o.trim()).filter(Boolean);
+        if ((type === 'single-select' || type === 'multi-select') && options.length === 0) {
+            this.showNotification('Select fields need at least one option', 'error');
+            return;
+        }
+
+        customFields.saveField({
+            id: fieldId || `field-${Date.now()}`,
+            name: name,
+            type: type,
+            options: type === 'single-select' || type === 'multi-select' ? options : [],
+            showOnCard: document.getElementById('field-show-on-card-input').checked
+        });
+
+        this.showNotification(fieldId ? 'Field updated' : 'Field added', 'success');
+        this.closeFieldForm();
+        this.renderFieldsList();
+    }
+
+    setupFieldEventListeners() {
+        document.getElementById('add-field-btn')?.addEventListener('click', () => {
+            this.openFieldForm(null);
+        });
+
+        document.getElementById('field-type-input')?.addEventListener('change', () => {
+            this.updateFieldOptionsVisibility();
+        });
+
+        document.getElementById('field-save-btn')?.addEventListener('click', () => {
+            this.saveFieldForm();
+        });
+
+        document.getElementById('field-cancel-btn')?.addEventListener('click', () => {
+            this.closeFieldForm();
+        });
+    }
+
     // Auto-save functionality
     startAutoSave() {
         this.autoSaveInterval = setInterval(() => {
@@ -1025,6 +1586,16 @@ class SettingsManager {
             this.renderLabelsList();
             this.closeLabelForm();
         }
+        // Initialize templates tab if selected
+        if (tabName === 'templates') {
+            this.renderTemplatesList();
+            this.closeTemplateForm();
+        }
+        // Initialize custom fields tab if selected
+        if (tabName === 'fields') {
+            this.renderFieldsList();
+            this.closeFieldForm();
+        }
     }
 
     // Populate user select for comments tab
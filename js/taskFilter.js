@@ -0,0 +1,273 @@
+/**
+ * Task Filter - Parses the board filter bar query and matches tasks against it
+ *
+ * Query syntax (terms are ANDed, prefix a term with "-" to negate it):
+ *   free text           matches title and description
+ *   assignee:alice      assignee name or email contains "alice" (assignee:none, assignee:me)
+ *   label:bug           has a label containing "bug" (label:none)
+ *   priority:high       exact priority
+ *   milestone:"v2"      milestone name contains "v2" (milestone:none)
+ *   project:web         project title contains "web" (project:none)
+ *   status:"to do"      column id or name
+ *   due:<7d  due:>30d   due within / after N days (d, w or m), or due:<2025-01-31, due:today, due:none
+ *   estimate:5  estimate:>3  estimate:m  estimate:none
+ *   is:overdue  is:blocked  is:done  is:open  is:recurring  is:subtask
+ *   <custom-field>:value  custom fields by name, e.g. customer:acme, severity:none, points:>3
+ */
+class TaskFilter {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.query = '';
+        this.terms = [];
+    }
+
+    // Set a new query and re-parse it
+    setQuery(query) {
+        this.query = (query || '').trim();
+        this.terms = this.parse(this.query);
+    }
+
+    isActive() {
+        return this.terms.length > 0;
+    }
+
+    // Split a query into terms: [-][key:]value, where value may be "quoted"
+    parse(query) {
+        const terms = [];
+        const pattern = /(-?)(?:([a-zA-Z][\w-]*):)?(?:"([^"]*)"|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const negate = match[1] === '-';
+            let key = match[2] ? match[2].toLowerCase() : 'text';
+            let value = match[3] !== undefined ? match[3] : match[4];
+
+            // Custom fields are addressed by their filter key (name in lowercase, dashes for spaces)
+            const customField = !TaskFilter.KEYS.includes(key) && this.kanbanBoard.customFields
+                ? this.kanbanBoard.customFields.getFieldByFilterKey(key)
+                : null;
+            if (customField) {
+                key = `custom:${customField.id}`;
+            } else if (!TaskFilter.KEYS.includes(key)) {
+                // Unknown keys are searched as plain text (e.g. "note:foo")
+                value = `${match[2]}:${value}`;
+                key = 'text';
+            }
+
+            if (value === undefined || value === '') continue;
+            terms.push({ key, value: value.toLowerCase(), negate });
+        }
+
+        return terms;
+    }
+
+    // True if the task satisfies every term
+    matches(task) {
+        return this.terms.every(term => {
+            const result = this.matchTerm(task, term);
+            return term.negate ? !result : result;
+        });
+    }
+
+    matchTerm(task, term) {
+        const board = this.kanbanBoard;
+        const value = term.value;
+
+        if (term.key.startsWith('custom:')) {
+            return this.matchCustomField(task, term.key.slice(7), value);
+        }
+
+        switch (term.key) {
+            case 'text':
+                return (task.title || '').toLowerCase().includes(value) ||
+                    (task.description || '').toLowerCase().includes(value);
+
+            case 'assignee': {
+                if (value === 'none') return !task.assignee;
+                if (!task.assignee) return false;
+                if (value === 'me') {
+                    const currentUserId = window.userManager ? window.userManager.currentUserId : null;
+                    return !!currentUserId && String(task.assignee) === String(currentUserId);
+                }
+                const email = board.getUserEmail(task.assignee) || '';
+                return board.getUserName(task.assignee).toLowerCase().includes(value) ||
+                    email.toLowerCase().includes(value);
+            }
+
+            case 'label': {
+                const labels = (task.labels || []).map(l => (typeof l === 'object' ? l.name : l) || '');
+                if (value === 'none') return labels.length === 0;
+                return labels.some(name => name.toLowerCase().includes(value));
+            }
+
+            case 'priority':
+                return (task.priority || 'medium').toLowerCase() === value;
+
+            case 'milestone': {
+                const name = board.getMilestoneDisplayName(task.milestone).toLowerCase();
+                if (value === 'none') return !name;
+                return !!name && name.includes(value);
+            }
+
+            case 'project': {
+                const title = task.project ? (task.project.title || '').toLowerCase() : '';
+                if (value === 'none') return !task.project;
+                return !!title && title.includes(value);
+            }
+
+            case 'status': {
+                const index = board.columns.indexOf(task.status);
+                const name = (board.panelConfig.names[index] || '').toLowerCase();
+                return task.status === value || name === value;
+            }
+
+            case 'due':
+                return this.matchDue(task, value);
+
+            case 'estimate': {
+                if (value === 'none') return !board.hasEstimate(task);
+                if (!board.hasEstimate(task)) return false;
+                const compare = value.match(/^([<>]=?)(\d+(?:\.\d+)?)$/);
+                if (compare) {
+                    const estimate = board.getEstimateValue(task.estimate);
+                    const target = parseFloat(compare[2]);
+                    switch (compare[1]) {
+                        case '<': return estimate < target;
+                        case '<=': return estimate <= target;
+                        case '>': return estimate > target;
+                        default: return estimate >= target;
+                    }
+                }
+                return String(task.estimate).toLowerCase() === value;
+            }
+
+            case 'is':
+                return this.matchIs(task, value);
+
+            default:
+                return true;
+        }
+    }
+
+    // Text-like fields match by substring, numbers and dates support < and > comparisons
+    matchCustomField(task, fieldId, value) {
+        const customFields = this.kanbanBoard.customFields;
+        const field = customFields.getField(fieldId);
+        if (!field) return false;
+
+        const fieldValue = customFields.getValue(task, field);
+        if (value === 'none') return customFields.isEmpty(fieldValue);
+        if (customFields.isEmpty(fieldValue)) return false;
+
+        switch (field.type) {
+            case 'number': {
+                const match = value.match(/^([<>]=?)?(-?\d+(?:\.\d+)?)$/);
+                if (!match) return false;
+                const target = parseFloat(match[2]);
+                switch (match[1]) {
+                    case '<': return fieldValue < target;
+                    case '<=': return fieldValue <= target;
+                    case '>': return fieldValue > target;
+                    case '>=': return fieldValue >= target;
+                    default: return fieldValue === target;
+                }
+            }
+            case 'date':
+                return this.matchDate(fieldValue, value);
+            case 'user': {
+                if (value === 'me') {
+                    const currentUserId = window.userManager ? window.userManager.currentUserId : null;
+                    return !!currentUserId && String(fieldValue) === String(currentUserId);
+                }
+                const email = this.kanbanBoard.getUserEmail(fieldValue) || '';
+                return this.kanbanBoard.getUserName(fieldValue).toLowerCase().includes(value) ||
+                    email.toLowerCase().includes(value);
+            }
+            case 'multi-select':
+                return [].concat(fieldValue).some(option => option.toLowerCase().includes(value));
+            default:
+                return String(fieldValue).toLowerCase().includes(value);
+        }
+    }
+
+    // due:<7d, due:>2w, due:<2025-01-31, due:today, due:none
+    matchDue(task, value) {
+        if (value === 'none') return !task.dueDate;
+        if (!task.dueDate) return false;
+        return this.matchDate(task.dueDate, value);
+    }
+
+    // Compare a date against today, <7d / >2w / <=1m, or <2025-01-31
+    matchDate(dateValue, value) {
+        const due = this.parseDay(dateValue);
+        const today = this.startOfDay(new Date());
+
+        if (value === 'today') return due.getTime() === today.getTime();
+
+        const match = value.match(/^([<>]=?)?(.+)$/);
+        const op = match[1] || '=';
+        let target;
+
+        const relative = match[2].match(/^(\d+)([dwm])$/);
+        if (relative) {
+            const amount = parseInt(relative[1]);
+            target = new Date(today);
+            if (relative[2] === 'd') target.setDate(target.getDate() + amount);
+            if (relative[2] === 'w') target.setDate(target.getDate() + amount * 7);
+            if (relative[2] === 'm') target.setMonth(target.getMonth() + amount);
+        } else {
+            target = this.parseDay(match[2]);
+            if (isNaN(target.getTime())) return false;
+        }
+
+        switch (op) {
+            case '<': return due < target;
+            case '<=': return due <= target;
+            case '>': return due > target;
+            case '>=': return due >= target;
+            default: return due.getTime() === target.getTime();
+        }
+    }
+
+    // is:overdue, is:blocked, is:done, is:open, is:recurring, is:subtask
+    matchIs(task, value) {
+        const board = this.kanbanBoard;
+
+        switch (value) {
+            case 'overdue':
+                return !!task.dueDate && !board.isTaskDone(task) &&
+                    this.parseDay(task.dueDate) < this.startOfDay(new Date());
+            case 'blocked':
+                return board.isTaskBlocked(task);
+            case 'done':
+                return board.isTaskDone(task);
+            case 'open':
+                return !board.isTaskDone(task);
+            case 'recurring':
+                return !!task.recurrence;
+            case 'subtask':
+                return !!task.parentIssueId;
+            default:
+                return false;
+        }
+    }
+
+    // Date-only strings (YYYY-MM-DD) are read as local dates, not UTC
+    parseDay(value) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return this.kanbanBoard.parseDateOnly(value);
+        }
+        return this.startOfDay(new Date(value));
+    }
+
+    startOfDay(date) {
+        const copy = new Date(date);
+        copy.setHours(0, 0, 0, 0);
+        return copy;
+    }
+}
+
+// Keys understood by the query syntax
+TaskFilter.KEYS = ['text', 'assignee', 'label', 'priority', 'milestone', 'project', 'status', 'due', 'estimate', 'is'];
+
+window.TaskFilter = TaskFilter;
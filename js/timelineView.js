@@ -0,0 +1,408 @@
+/**
+ * Timeline View - Gantt-style chart of tasks grouped by milestone or project
+ *
+ * Each task with a due date is a bar from its start date (or the due date alone when it
+ * has none) to its due date. Dragging a bar moves both dates, dragging either end changes
+ * one of them; every change is an undoable operation. Blocked-by links are drawn as
+ * arrows from the end of the blocking task to the start of the blocked one.
+ */
+class TimelineView {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.active = localStorage.getItem('kanban-timeline-open') === 'true';
+        this.groupBy = localStorage.getItem('kanban-timeline-group') || 'milestone'; // 'milestone' or 'project'
+        this.drag = null; // {taskId, mode: move|start|end, startX, start, end, bar, moved}
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    open() {
+        // Only one of the calendar and timeline replaces the board at a time
+        if (window.calendarView) window.calendarView.deactivate();
+        this.active = true;
+        localStorage.setItem('kanban-timeline-open', 'true');
+        this.kanbanBoard.renderBoard();
+    }
+
+    close() {
+        this.deactivate();
+        this.kanbanBoard.renderBoard();
+    }
+
+    // Mark closed without re-rendering (used when another view opens)
+    deactivate() {
+        this.active = false;
+        localStorage.setItem('kanban-timeline-open', 'false');
+    }
+
+    toggle() {
+        if (this.active) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    setGroupBy(groupBy) {
+        this.groupBy = groupBy === 'project' ? 'project' : 'milestone';
+        localStorage.setItem('kanban-timeline-group', this.groupBy);
+        this.render();
+    }
+
+    // Show or hide the timeline in place of the board; called after every board render
+    refresh() {
+        const timeline = document.getElementById('timeline-view');
+        if (!timeline) return;
+
+        const btn = document.getElementById('timeline-btn');
+        if (btn) btn.classList.toggle('active', this.active);
+
+        timeline.style.display = this.active ? '' : 'none';
+        if (!this.active) return;
+
+        const board = document.querySelector('.kanban-board');
+        const swimlaneBoard = document.getElementById('swimlane-board');
+        if (board) board.style.display = 'none';
+        if (swimlaneBoard) swimlaneBoard.style.display = 'none';
+
+        this.render();
+    }
+
+    // Whole days between two local dates
+    daysBetween(from, to) {
+        return Math.round((to - from) / (24 * 60 * 60 * 1000));
+    }
+
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+
+    // Start and end of a task's bar as local dates, or null when it has no due date
+    getTaskRange(task) {
+        if (!task.dueDate) return null;
+        const board = this.kanbanBoard;
+        const end = board.parseDateOnly(String(task.dueDate).slice(0, 10));
+        const start = task.startDate ? board.parseDateOnly(String(task.startDate).slice(0, 10)) : end;
+        return { start: start <= end ? start : end, end: end };
+    }
+
+    getGroupName(task) {
+        if (this.groupBy === 'project') {
+            return task.project ? task.project.title || task.project.name || 'Unnamed project' : '';
+        }
+        return this.kanbanBoard.getMilestoneDisplayName(task.milestone) || '';
+    }
+
+    // [{name, tasks}] sorted by name, tasks without a milestone/project last
+    getGroups(tasks) {
+        const groups = new Map();
+        tasks.forEach(task => {
+            const name = this.getGroupName(task);
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(task);
+        });
+
+        const emptyName = this.groupBy === 'project' ? 'No project' : 'No milestone';
+        return [...groups.entries()]
+            .sort(([a], [b]) => (a === '') - (b === '') || a.localeCompare(b))
+            .map(([name, groupTasks]) => ({
+                name: name || emptyName,
+                tasks: groupTasks.sort((a, b) =>
+                    this.getTaskRange(a).start - this.getTaskRange(b).start || a.dueDate.localeCompare(b.dueDate))
+            }));
+    }
+
+    render() {
+        const container = document.getElementById('timeline-chart');
+        if (!container || !this.active) return;
+
+        const board = this.kanbanBoard;
+        const visible = board.getVisibleTasks();
+        const tasks = visible.filter(task => task.dueDate);
+        const unscheduled = visible.length - tasks.length;
+
+        const groupSelect = document.getElementById('timeline-group');
+        if (groupSelect) groupSelect.value = this.groupBy;
+        const summary = document.getElementById('timeline-summary');
+        if (summary) {
+            summary.textContent = unscheduled > 0 ? `${unscheduled} task${unscheduled === 1 ? '' : 's'} without a due date` : '';
+        }
+
+        if (tasks.length === 0) {
+            container.innerHTML = '<p class="empty-message">No tasks with due dates to show. Set a start and due date on tasks to plan them here.</p>';
+            return;
+        }
+
+        // Date range: all bars plus today, padded by a few days on each side
+        const today = board.parseDateOnly(board.formatDateOnly(new Date()));
+        let rangeStart = today;
+        let rangeEnd = today;
+        tasks.forEach(task => {
+            const range = this.getTaskRange(task);
+            if (range.start < rangeStart) rangeStart = range.start;
+            if (range.end > rangeEnd) rangeEnd = range.end;
+        });
+        rangeStart = this.addDays(rangeStart, -3);
+        rangeEnd = this.addDays(rangeEnd, 7);
+        this.rangeStart = rangeStart;
+
+        const dayCount = this.daysBetween(rangeStart, rangeEnd) + 1;
+        const dayWidth = TimelineView.DAY_WIDTH;
+        const labelWidth = TimelineView.LABEL_WIDTH;
+        const rowHeight = TimelineView.ROW_HEIGHT;
+        const width = labelWidth + dayCount * dayWidth;
+
+        // Header: month names above day numbers
+        const days = [];
+        for (let i = 0; i < dayCount; i++) days.push(this.addDays(rangeStart, i));
+        const months = [];
+        days.forEach((day, i) => {
+            if (i === 0 || day.getDate() === 1) {
+                months.push({ index: i, label: day.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) });
+            }
+        });
+
+        // Rows: a header row per group, then one row per task
+        const rows = [];
+        this.getGroups(tasks).forEach(group => {
+            rows.push({ group: group.name, count: group.tasks.length });
+            group.tasks.forEach(task => rows.push({ task: task }));
+        });
+
+        const positions = {}; // taskId -> {x1, x2, y} for the dependency arrows
+        const rowsHTML = rows.map((row, index) => {
+            if (row.group !== undefined) {
+                return `
+                    <div class="timeline-row timeline-group-row">
+                        <div class="timeline-label">${board.escapeHtml(row.group)} <span class="task-count">${row.count}</span></div>
+                    </div>
+                `;
+            }
+
+            const task = row.task;
+            const range = this.getTaskRange(task);
+            const left = labelWidth + this.daysBetween(rangeStart, range.start) * dayWidth;
+            const barWidth = (this.daysBetween(range.start, range.end) + 1) * dayWidth;
+            positions[task.id] = { x1: left, x2: left + barWidth, y: TimelineView.HEADER_HEIGHT + index * rowHeight + rowHeight / 2 };
+
+            const classes = ['timeline-bar', board.getDueDateClass(task)];
+            if (board.isTaskDone(task)) classes.push('done');
+            const progress = this.getProgress(task);
+            const dates = task.startDate
+                ? `${board.formatTaskDate(task.startDate)} – ${board.formatTaskDate(task.dueDate)}`
+                : `Due ${board.formatTaskDate(task.dueDate)}`;
+
+            return `
+                <div class="timeline-row">
+                    <div class="timeline-label" title="${board.escapeHtml(task.title)}">
+                        <a href="#" class="timeline-task-link" data-task-id="${task.id}">#${task.id}</a> ${board.escapeHtml(task.title)}
+                    </div>
+                    <div class="${classes.join(' ')}" data-task-id="${task.id}"
+                        style="left: ${left}px; width: ${barWidth}px;"
+                        title="${board.escapeHtml(task.title)} · ${dates} · ${board.escapeHtml(board.getColumnName(task.status))}">
+                        ${progress !== null ? `<div class="timeline-bar-progress" style="width: ${progress}%;"></div>` : ''}
+                        <span class="timeline-bar-handle start" data-mode="start"></span>
+                        <span class="timeline-bar-title">${board.escapeHtml(task.title)}</span>
+                        <span class="timeline-bar-handle end" data-mode="end"></span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const todayLeft = labelWidth + this.daysBetween(rangeStart, today) * dayWidth;
+        const height = TimelineView.HEADER_HEIGHT + rows.length * rowHeight;
+
+        container.innerHTML = `
+            <div class="timeline-inner" style="width: ${width}px; height: ${height}px; --timeline-day-width: ${dayWidth}px; --timeline-label-width: ${labelWidth}px;">
+                <div class="timeline-header">
+                    <div class="timeline-label timeline-corner"></div>
+                    ${months.map(month => `<div class="timeline-month" style="left: ${labelWidth + month.index * dayWidth}px;">${month.label}</div>`).join('')}
+                    ${days.map((day, i) => `<div class="timeline-day${day.getDay() === 0 || day.getDay() === 6 ? ' weekend' : ''}" style="left: ${labelWidth + i * dayWidth}px;">${day.getDate()}</div>`).join('')}
+                </div>
+                ${rowsHTML}
+                <div class="timeline-today" style="left: ${todayLeft + dayWidth / 2}px;" title="Today"></div>
+                ${this.renderArrows(tasks, positions, width, height)}
+            </div>
+        `;
+
+        this.setupChartListeners(container);
+    }
+
+    // Share of checklist items (or subtasks) done, null when the task has neither
+    getProgress(task) {
+        const checklist = task.checklist || [];
+        if (checklist.length > 0) {
+            return Math.round(checklist.filter(item => item.done).length / checklist.length * 100);
+        }
+        const subtasks = this.kanbanBoard.tasks.filter(t => t.parentIssueId === task.id && !t.archived);
+        if (subtasks.length > 0) {
+            return Math.round(subtasks.filter(t => this.kanbanBoard.isTaskDone(t)).length / subtasks.length * 100);
+        }
+        return null;
+    }
+
+    // SVG arrows from each blocking task's bar end to the blocked task's bar start
+    renderArrows(tasks, positions, width, height) {
+        const paths = [];
+        tasks.forEach(task => {
+            (task.blockedBy || []).forEach(blockerId => {
+                const from = positions[blockerId];
+                const to = positions[task.id];
+                if (!from || !to) return;
+                const elbow = Math.max(from.x2 + 8, Math.min(to.x1 - 8, from.x2 + 16));
+                paths.push(`<path d="M ${from.x2} ${from.y} H ${elbow} V ${to.y} H ${to.x1}" marker-end="url(#timeline-arrowhead)"></path>`);
+            });
+        });
+        if (paths.length === 0) return '';
+
+        return `
+            <svg class="timeline-arrows" width="${width}" height="${height}">
+                <defs>
+                    <marker id="timeline-arrowhead" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                        <path d="M 0 0 L 8 4 L 0 8 z"></path>
+                    </marker>
+                </defs>
+                ${paths.join('')}
+            </svg>
+        `;
+    }
+
+    setupChartListeners(container) {
+        const board = this.kanbanBoard;
+
+        container.querySelectorAll('.timeline-task-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const task = board.tasks.find(t => t.id === parseInt(link.dataset.taskId));
+                if (task) board.openTaskModal(task);
+            });
+        });
+
+        container.querySelectorAll('.timeline-bar').forEach(bar => {
+            bar.addEventListener('pointerdown', (e) => this.startDrag(e, bar));
+        });
+    }
+
+    startDrag(e, bar) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const task = this.kanbanBoard.tasks.find(t => t.id === parseInt(bar.dataset.taskId));
+        if (!task) return;
+
+        const range = this.getTaskRange(task);
+        this.drag = {
+            taskId: task.id,
+            mode: e.target.dataset.mode || 'move',
+            startX: e.clientX,
+            start: range.start,
+            end: range.end,
+            left: parseFloat(bar.style.left),
+            width: parseFloat(bar.style.width),
+            bar: bar,
+            moved: false
+        };
+        bar.classList.add('dragging');
+
+        const onMove = (moveEvent) => this.updateDrag(moveEvent);
+        const onUp = (upEvent) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            this.endDrag(upEvent);
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    }
+
+    // Days the pointer has moved, with the bar kept at least one day long
+    getDragDelta(e) {
+        const drag = this.drag;
+        let delta = Math.round((e.clientX - drag.startX) / TimelineView.DAY_WIDTH);
+        const length = this.daysBetween(drag.start, drag.end);
+        if (drag.mode === 'start') delta = Math.min(delta, length);
+        if (drag.mode === 'end') delta = Math.max(delta, -length);
+        return delta;
+    }
+
+    updateDrag(e) {
+        const drag = this.drag;
+        if (!drag) return;
+        if (Math.abs(e.clientX - drag.startX) > 3) drag.moved = true;
+
+        const offset = this.getDragDelta(e) * TimelineView.DAY_WIDTH;
+        if (drag.mode === 'move') {
+            drag.bar.style.left = `${drag.left + offset}px`;
+        } else if (drag.mode === 'start') {
+            drag.bar.style.left = `${drag.left + offset}px`;
+            drag.bar.style.width = `${drag.width - offset}px`;
+        } else {
+            drag.bar.style.width = `${drag.width + offset}px`;
+        }
+    }
+
+    endDrag(e) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag) return;
+        drag.bar.classList.remove('dragging');
+
+        const board = this.kanbanBoard;
+        const task = board.tasks.find(t => t.id === drag.taskId);
+        if (!task) return;
+
+        // A click without movement opens the task
+        if (!drag.moved) {
+            board.openTaskModal(task);
+            return;
+        }
+
+        const delta = this.getDragDelta(e);
+        if (delta === 0) {
+            this.render();
+            return;
+        }
+
+        const start = drag.mode === 'end' ? drag.start : this.addDays(drag.start, delta);
+        const end = drag.mode === 'start' ? drag.end : this.addDays(drag.end, delta);
+        const updates = {
+            startDate: board.formatDateOnly(start),
+            dueDate: board.formatDateOnly(end)
+        };
+        const label = drag.mode === 'move'
+            ? `Moved "${task.title}" by ${delta > 0 ? '+' : ''}${delta} day${Math.abs(delta) === 1 ? '' : 's'}`
+            : `Rescheduled "${task.title}" to ${board.formatTaskDate(updates.startDate)} – ${board.formatTaskDate(updates.dueDate)}`;
+
+        board.runBulkOperation(label, () => {
+            board.updateTask(task.id, updates);
+        });
+    }
+
+    setupEventListeners() {
+        document.getElementById('timeline-btn')?.addEventListener('click', () => this.toggle());
+        document.getElementById('timeline-group')?.addEventListener('change', (e) => this.setGroupBy(e.target.value));
+        document.getElementById('timeline-today-btn')?.addEventListener('click', () => {
+            const chart = document.getElementById('timeline-chart');
+            if (!chart || !this.rangeStart) return;
+            const today = this.kanbanBoard.parseDateOnly(this.kanbanBoard.formatDateOnly(new Date()));
+            chart.scrollLeft = Math.max(this.daysBetween(this.rangeStart, today) * TimelineView.DAY_WIDTH - chart.clientWidth / 3, 0);
+        });
+    }
+}
+
+// Chart geometry in pixels (rows and header have fixed heights so arrows can be placed)
+TimelineView.DAY_WIDTH = 28;
+TimelineView.LABEL_WIDTH = 240;
+TimelineView.ROW_HEIGHT = 34;
+TimelineView.HEADER_HEIGHT = 44;
+
+// Initialize the timeline when the board is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const checkForBoard = setInterval(() => {
+        if (window.kanbanBoard) {
+            window.timelineView = new TimelineView(window.kanbanBoard);
+            clearInterval(checkForBoard);
+        }
+    }, 100);
+});
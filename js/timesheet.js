@@ -0,0 +1,216 @@
+/**
+ * Timesheet - Logged time per user and date range, with CSV export
+ *
+ * Reads the time entries that KanbanBoard stores on each task (task.timeEntries).
+ * Entries are attributed to the day they started; running timers count up to now.
+ */
+class Timesheet {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.setupEventListeners();
+    }
+
+    open() {
+        const modal = document.getElementById('timesheet-modal');
+        if (!modal) return;
+
+        this.populateUserSelect();
+
+        // Default to the current week (Monday to today)
+        const fromInput = document.getElementById('timesheet-from');
+        const toInput = document.getElementById('timesheet-to');
+        if (fromInput && !fromInput.value) {
+            const monday = new Date();
+            monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+            fromInput.value = this.kanbanBoard.formatDateOnly(monday);
+        }
+        if (toInput && !toInput.value) {
+            toInput.value = this.kanbanBoard.formatDateOnly(new Date());
+        }
+
+        this.render();
+        modal.classList.add('active');
+    }
+
+    close() {
+        const modal = document.getElementById('timesheet-modal');
+        if (modal) modal.classList.remove('active');
+    }
+
+    populateUserSelect() {
+        const select = document.getElementById('timesheet-user');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '<option value="">All users</option>';
+        const users = window.userManager ? window.userManager.users || [] : [];
+        users.forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = user.name || user.email || 'Unnamed User';
+            select.appendChild(option);
+        });
+        select.value = current;
+    }
+
+    // Entries in the selected range, oldest first: [{date, userId, task, entry, seconds}]
+    getRows() {
+        const board = this.kanbanBoard;
+        const userId = document.getElementById('timesheet-user')?.value || '';
+        const from = document.getElementById('timesheet-from')?.value || '';
+        const to = document.getElementById('timesheet-to')?.value || '';
+        const rows = [];
+
+        board.tasks.forEach(task => {
+            (task.timeEntries || []).forEach(entry => {
+                const date = board.formatDateOnly(new Date(entry.startedAt));
+                if (from && date < from) return;
+                if (to && date > to) return;
+                if (userId && String(entry.userId) !== String(userId)) return;
+
+                rows.push({
+                    date: date,
+                    userId: entry.userId,
+                    task: task,
+                    entry: entry,
+                    seconds: board.getEntryDuration(entry)
+                });
+            });
+        });
+
+        return rows.sort((a, b) => new Date(a.entry.startedAt) - new Date(b.entry.startedAt));
+    }
+
+    render() {
+        const container = document.getElementById('timesheet-results');
+        if (!container) return;
+
+        const board = this.kanbanBoard;
+        const rows = this.getRows();
+
+        if (rows.length === 0) {
+            container.innerHTML = '<p class="message-empty">No time logged in this range</p>';
+            return;
+        }
+
+        // Totals per user
+        const totals = {};
+        rows.forEach(row => {
+            const key = row.userId || '';
+            totals[key] = (totals[key] || 0) + row.seconds;
+        });
+        const grandTotal = rows.reduce((sum, row) => sum + row.seconds, 0);
+        const userName = id => id ? board.getUserName(id) : 'Unknown';
+
+        container.innerHTML = `
+            <div class="timesheet-totals">
+                ${Object.entries(totals).map(([id, seconds]) => `
+                    <div class="timesheet-total">
+                        <span>${board.escapeHtml(userName(id))}</span>
+                        <strong>${board.formatDuration(seconds)}</strong>
+                    </div>
+                `).join('')}
+                <div class="timesheet-total grand">
+                    <span>Total</span>
+                    <strong>${board.formatDuration(grandTotal)}</strong>
+                </div>
+            </div>
+            <table class="timesheet-table">
+                <thead>
+                    <tr><th>Date</th><th>User</th><th>Task</th><th>Note</th><th>Time</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr${row.entry.endedAt ? '' : ' class="running"'}>
+                            <td>${board.formatTaskDate(row.entry.startedAt)}</td>
+                            <td>${board.escapeHtml(userName(row.userId))}</td>
+                            <td><a href="#" class="timesheet-task-link" data-task-id="${row.task.id}">#${row.task.id} ${board.escapeHtml(row.task.title)}</a></td>
+                            <td>${board.escapeHtml(row.entry.note || '')}</td>
+                            <td>${board.formatDuration(row.seconds)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.querySelectorAll('.timesheet-task-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const task = board.tasks.find(t => t.id === parseInt(link.dataset.taskId));
+                if (task) {
+                    this.close();
+                    board.openTaskModal(task);
+                }
+            });
+        });
+    }
+
+    // Download the current rows as CSV (hours as decimals for billing)
+    exportCSV() {
+        const board = this.kanbanBoard;
+        const rows = this.getRows();
+        if (rows.length === 0) {
+            board.showNotification('No time entries to export', 'warning');
+            return;
+        }
+
+        const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        const lines = [['Date', 'User', 'Task ID', 'Task', 'Note', 'Minutes', 'Hours'].map(quote).join(',')];
+        rows.forEach(row => {
+            lines.push([
+                row.date,
+                row.userId ? board.getUserName(row.userId) : '',
+                row.task.id,
+                row.task.title,
+                row.entry.note || '',
+                Math.round(row.seconds / 60),
+                (row.seconds / 3600).toFixed(2)
+            ].map(quote).join(','));
+        });
+
+        const blob = new Blob([lines.join('\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const from = document.getElementById('timesheet-from')?.value || 'start';
+        const to = document.getElementById('timesheet-to')?.value || 'today';
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `timesheet-${from}-to-${to}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        board.showNotification(`Exported ${rows.length} time entries`, 'success');
+    }
+
+    setupEventListeners() {
+        document.getElementById('timesheet-btn')?.addEventListener('click', () => this.open());
+        document.getElementById('timesheet-modal-close')?.addEventListener('click', () => this.close());
+        document.getElementById('timesheet-close-btn')?.addEventListener('click', () => this.close());
+        document.getElementById('timesheet-export-btn')?.addEventListener('click', () => this.exportCSV());
+
+        ['timesheet-user', 'timesheet-from', 'timesheet-to'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.render());
+        });
+
+        const modal = document.getElementById('timesheet-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target.id === 'timesheet-modal') {
+                    this.close();
+                }
+            });
+        }
+    }
+}
+
+// Initialize timesheet when the board is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const checkForBoard = setInterval(() => {
+        if (window.kanbanBoard) {
+            window.timesheet = new Timesheet(window.kanbanBoard);
+            clearInterval(checkForBoard);
+        }
+    }, 100);
+});
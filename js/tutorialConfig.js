@@ -36,7 +36,7 @@ class TutorialConfig {
                         arrowOffset: 'center',
                         marginOverride: 12,
                         heading: 'Your Kanban Board',
-                        content: 'Tasks flow left-to-right through four columns: Backlog → To Do → In Progress → Done. Drag and drop any card to move it between stages.',
+                        content: 'Tasks flow left-to-right through the columns, Backlog → To Do → In Progress → Done by default. Drag and drop any card to move it between stages.',
                     },
                     {
                         id: 'add-task',
@@ -76,7 +76,7 @@ class TutorialConfig {
                         arrowOffset: 'end',
                         marginOverride: 12,
                         heading: 'Board Settings',
-                        content: 'Customise column names, choose emoji or Font Awesome icons, manage labels, configure auto-save, and import or export your board data.',
+                        content: 'Add, rename and reorder columns, choose emoji or Font Awesome icons, manage labels, configure auto-save, and import or export your board data.',
                     },
                     {
                         id: 'done',
@@ -0,0 +1,200 @@
+/**
+ * View Manager - Named combinations of filter, grouping, sort and visible card fields
+ *
+ * Views belong to the board: they are kept in localStorage (kanban-views) while working
+ * and are stored with the board by BoardManager.saveBoard / loadBoard and JSON export.
+ * A view can be opened directly with ?view=<view-id> in the URL.
+ */
+class ViewManager {
+    constructor(kanbanBoard) {
+        this.kanbanBoard = kanbanBoard;
+        this.views = [];
+        this.currentViewId = null;
+        this.init();
+    }
+
+    init() {
+        this.loadViews();
+        this.setupEventListeners();
+        this.renderViewSelect();
+        this.applyViewFromUrl();
+    }
+
+    loadViews() {
+        const saved = localStorage.getItem('kanban-views');
+        this.views = saved ? JSON.parse(saved) : [];
+    }
+
+    saveViews() {
+        localStorage.setItem('kanban-views', JSON.stringify(this.views));
+    }
+
+    // Replace all views (used when a board is loaded or imported)
+    setViews(views) {
+        this.views = Array.isArray(views) ? views : [];
+        this.saveViews();
+        if (!this.getView(this.currentViewId)) {
+            this.currentViewId = null;
+            this.updateUrl();
+        }
+        this.renderViewSelect();
+    }
+
+    getView(id) {
+        return this.views.find(v => v.id === id) || null;
+    }
+
+    // URL-friendly id from the view name, unique within the board
+    createViewId(name) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'view';
+        let id = base;
+        let n = 2;
+        while (this.getView(id)) {
+            id = `${base}-${n++}`;
+        }
+        return id;
+    }
+
+    // Save the board's current settings as a view (overwrites a view with the same name)
+    saveCurrentView(name) {
+        const settings = this.kanbanBoard.getViewSettings();
+        let view = this.views.find(v => v.name.toLowerCase() === name.toLowerCase());
+
+        if (view) {
+            Object.assign(view, settings, { updatedAt: new Date().toISOString() });
+        } else {
+            view = {
+                id: this.createViewId(name),
+                name: name,
+                ...settings,
+                createdBy: window.userManager ? window.userManager.currentUserId || null : null,
+                createdAt: new Date().toISOString()
+            };
+            this.views.push(view);
+        }
+
+        this.saveViews();
+        this.currentViewId = view.id;
+        this.updateUrl();
+        this.renderViewSelect();
+        this.showNotification(`View "${view.name}" saved`, 'success');
+        return view;
+    }
+
+    applyView(id) {
+        const view = this.getView(id);
+        this.currentViewId = view ? view.id : null;
+        if (view) {
+            this.kanbanBoard.applyViewSettings(view);
+        }
+        this.updateUrl();
+        this.renderViewSelect();
+    }
+
+    deleteView(id) {
+        const view = this.getView(id);
+        if (!view) return;
+        if (!confirm(`Delete view "${view.name}"?`)) return;
+
+        this.views = this.views.filter(v => v.id !== id);
+        this.saveViews();
+        if (this.currentViewId === id) {
+            this.currentViewId = null;
+            this.updateUrl();
+        }
+        this.renderViewSelect();
+        this.showNotification(`View "${view.name}" deleted`, 'info');
+    }
+
+    // Open the view named in ?view= on page load
+    applyViewFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const id = params.get('view');
+        if (!id) return;
+
+        if (this.getView(id)) {
+            this.applyView(id);
+        } else {
+            this.showNotification(`View "${id}" not found on this board`, 'warning');
+        }
+    }
+
+    // Keep ?view= in sync with the selected view so the URL can be shared
+    updateUrl() {
+        const url = new URL(window.location.href);
+        if (this.currentViewId) {
+            url.searchParams.set('view', this.currentViewId);
+        } else {
+            url.searchParams.delete('view');
+        }
+        window.history.replaceState(null, '', url.toString());
+    }
+
+    renderViewSelect() {
+        const select = document.getElementById('view-select');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">All cards</option>';
+        this.views.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view.id;
+            option.textContent = view.name;
+            select.appendChild(option);
+        });
+        select.value = this.currentViewId || '';
+
+        const deleteBtn = document.getElementById('delete-view-btn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !this.currentViewId;
+        }
+    }
+
+    setupEventListeners() {
+        const select = document.getElementById('view-select');
+        if (select) {
+            select.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.applyView(e.target.value);
+                } else {
+                    // "All cards" clears the view's filter but keeps layout preferences
+                    this.currentViewId = null;
+                    this.kanbanBoard.setFilterQuery('');
+                    this.updateUrl();
+                    this.renderViewSelect();
+                }
+            });
+        }
+
+        const saveBtn = document.getElementById('save-view-btn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                const current = this.getView(this.currentViewId);
+                const name = prompt('Save current filter, grouping, sort and card fields as view:', current ? current.name : '');
+                if (name && name.trim()) {
+                    this.saveCurrentView(name.trim());
+                }
+            });
+        }
+
+        const deleteBtn = document.getElementById('delete-view-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => this.deleteView(this.currentViewId));
+        }
+    }
+
+    showNotification(message, type = 'info') {
+        if (window.notifications) {
+            window.notifications.show(message, type);
+        }
+    }
+}
+
+// Initialize view manager when the board is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const checkForBoard = setInterval(() => {
+        if (window.kanbanBoard) {
+            window.viewManager = new ViewManager(window.kanbanBoard);
+            clearInterval(checkForBoard);
+        }
+    }, 100);
+});